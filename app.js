@@ -0,0 +1,113 @@
+// app.js
+// Aplicación Express: middlewares y rutas. El arranque (MongoDB, workers y puerto) está en server.js,
+// así las pruebas pueden importar la app sin levantar el servidor.
+const express = require('express');
+const cors = require('cors');
+const Order = require('./models/Order');
+const { authenticateOptional } = require('./middleware/auth');
+const { validate } = require('./middleware/validate');
+const { rateLimit } = require('./middleware/rateLimit');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { AppError, validationError } = require('./utils/errors');
+const { fieldError } = require('./utils/validation');
+const { queueOrderConfirmation } = require('./services/orderEmails');
+const { findOrderByEmail } = require('./services/guestOrders');
+const authRoutes = require('./routes/authRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const checkoutRoutes = require('./routes/checkoutRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const productRoutes = require('./routes/productRoutes');
+const profileRoutes = require('./routes/profileRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const shippingRoutes = require('./routes/shippingRoutes');
+const stockRoutes = require('./routes/stockRoutes');
+
+const app = express();
+// Detrás de un proxy (TRUST_PROXY=1, número de saltos) req.ip es la IP del cliente y no la del proxy,
+// necesaria para los límites de solicitudes por IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+app.use(cors());
+// Se guarda el cuerpo crudo para verificar las firmas de los webhooks de pago
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Registro, sesión y contraseñas
+app.use('/api', authRoutes);
+
+// Perfil del cliente y direcciones guardadas
+app.use('/api/profile', profileRoutes);
+
+// Carrito persistente y reservas de stock
+app.use('/api/cart', cartRoutes);
+
+// Checkout con precios y stock calculados en el servidor
+app.use('/api/checkout', checkoutRoutes);
+
+// Cupones de descuento
+app.use('/api/coupons', couponRoutes);
+
+// Zonas y cotización de envío
+app.use('/api/shipping', shippingRoutes);
+
+// Catálogo de productos
+app.use('/api/products', productRoutes);
+
+// Pedidos del cliente
+app.use('/api/orders', orderRoutes);
+
+// Pagos de pedidos y webhooks de las pasarelas
+app.use('/api/payments', paymentRoutes);
+
+// Reportes de ventas e inventario (administradores)
+app.use('/api/reports', reportRoutes);
+
+// Consulta y ajustes de stock por variante
+app.use('/api/stock', stockRoutes);
+
+// Ruta de prueba
+app.get('/', (req, res) => {
+  res.send('✅ API funcionando correctamente');
+});
+
+// Ruta para (re)enviar la confirmación de un pedido por correo: de un pedido del usuario autenticado o,
+// para invitados, del pedido con ese número y correo. Se envía siempre al correo guardado en el pedido
+// y se limita por usuario (o por IP sin sesión) para que no sirva para enviar correos en masa
+app.post('/api/send-order-confirmation', authenticateOptional, rateLimit({
+  name: 'order-confirmation',
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  key: req => req.userId || req.ip
+}), validate({
+  body: {
+    orderId: { type: 'string', required: true, trim: true },
+    email: { type: 'string', trim: true, format: 'email' }
+  }
+}), async (req, res) => {
+  const { orderId, email } = req.body;
+  if (!req.userId && !email) {
+    throw validationError([fieldError('email', 'REQUIRED')]);
+  }
+
+  const order = req.userId
+    ? await Order.findOne({ orderId: orderId.trim(), userId: req.userId })
+    : await findOrderByEmail(orderId.trim(), email);
+  if (!order) {
+    throw new AppError('ORDER_NOT_FOUND', 404);
+  }
+
+  await queueOrderConfirmation(order);
+  res.status(202).json({ success: true, queued: true });
+});
+
+// Rutas /api inexistentes y errores de todas las rutas, con el formato { success: false, code, message }
+app.use('/api', notFound);
+app.use(errorHandler);
+
+module.exports = app;
@@ -0,0 +1,55 @@
+// middleware/auth.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const { AppError } = require('../utils/errors');
+
+// Middleware de autenticación
+const authenticate = async (req, res, next) => {
+  let decoded;
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) {
+      return next(new AppError('UNAUTHORIZED', 401));
+    }
+    
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const [revoked, user] = await Promise.all([
+      decoded.jti ? RevokedToken.exists({ jti: decoded.jti }) : null,
+      User.findById(decoded.userId).select('sessionsValidFrom').lean()
+    ]);
+
+    // Token cerrado con logout, usuario eliminado o emitido antes de "cerrar todas las sesiones"
+    const sessionsValidFrom = user?.sessionsValidFrom && Math.floor(user.sessionsValidFrom.getTime() / 1000);
+    if (revoked || !user || (sessionsValidFrom && decoded.iat < sessionsValidFrom)) {
+      return next(new AppError('TOKEN_INVALID', 401));
+    }
+  } catch (error) {
+    return next(new AppError('TOKEN_INVALID', 401));
+  }
+
+  req.userId = decoded.userId;
+  // Los tokens emitidos antes de existir los roles no traen `role`
+  req.userRole = decoded.role || 'customer';
+  req.tokenId = decoded.jti;
+  req.tokenExpiresAt = decoded.exp;
+  next();
+};
+
+// Para rutas abiertas también a invitados: sin cabecera Authorization la solicitud sigue sin `req.userId`;
+// con cabecera el token debe ser válido
+const authenticateOptional = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  return authenticate(req, res, next);
+};
+
+// Restringe la ruta a los roles indicados; debe usarse después de `authenticate`
+const authorize = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.userRole)) {
+    return next(new AppError('FORBIDDEN', 403));
+  }
+  next();
+};
+
+module.exports = { authenticate, authenticateOptional, authorize };
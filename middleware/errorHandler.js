@@ -0,0 +1,64 @@
+// middleware/errorHandler.js
+// Manejo central de errores: toda respuesta de error tiene la forma
+//   { success: false, code, message, details?, ...extra }
+// con el mensaje (y el de cada detalle con código) en el idioma de la solicitud.
+const { AppError } = require('../utils/errors');
+const { translate, resolveLanguage } = require('../utils/i18n');
+
+// Convierte los errores que no son AppError (Express, Mongoose, Mongo) a su equivalente
+function normalizeError(error) {
+  if (error instanceof AppError) return error;
+
+  if (error.type === 'entity.parse.failed') return new AppError('INVALID_JSON', 400);
+  if (error.type === 'entity.too.large') return new AppError('PAYLOAD_TOO_LARGE', 413);
+  if (error.name === 'ValidationError' && error.errors) {
+    return new AppError('VALIDATION_ERROR', 400, {
+      details: Object.values(error.errors).map(({ path, message }) => ({ field: path, message }))
+    });
+  }
+  if (error.name === 'CastError') {
+    return new AppError('VALIDATION_ERROR', 400, { details: [{ field: error.path, code: 'INVALID_FORMAT' }] });
+  }
+  if (error.code === 11000) {
+    return new AppError('DUPLICATE', 409, {
+      details: Object.keys(error.keyValue || {}).map(field => ({ field, code: 'DUPLICATE' }))
+    });
+  }
+  return null;
+}
+
+const localizeDetail = (detail, language) => {
+  const { code, params, ...rest } = detail;
+  const message = code ? translate(code, language, params) : undefined;
+  return { ...rest, ...(code && { code }), message: message || detail.message };
+};
+
+// Rutas /api que no existen
+const notFound = (req, res, next) => next(new AppError('ROUTE_NOT_FOUND', 404));
+
+const errorHandler = (error, req, res, next) => {
+  // Si la respuesta ya empezó solo Express puede cerrar la conexión
+  if (res.headersSent) return next(error);
+
+  const appError = normalizeError(error);
+  if (!appError) {
+    console.error(`Error en ${req.method} ${req.originalUrl}:`, error);
+  }
+
+  const { code, status, params, details, extra, message } = appError || new AppError('INTERNAL_ERROR', 500);
+  const language = resolveLanguage(req);
+
+  // Los límites de solicitudes y los bloqueos indican cuándo volver a intentar
+  if (extra?.retryAfter) {
+    res.set('Retry-After', String(extra.retryAfter));
+  }
+  res.status(status).json({
+    success: false,
+    code,
+    message: translate(code, language, params) || message,
+    ...(details?.length && { details: details.map(detail => localizeDetail(detail, language)) }),
+    ...extra
+  });
+};
+
+module.exports = { errorHandler, notFound };
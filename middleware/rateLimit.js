@@ -0,0 +1,37 @@
+// middleware/rateLimit.js
+// Límite de solicitudes por IP o por cuenta. Al pasarse responde 429 TOO_MANY_REQUESTS con Retry-After.
+const { consume } = require('../services/rateLimit');
+const { AppError } = require('../utils/errors');
+
+/**
+ * @param {object} options
+ * @param {string} options.name prefijo de los contadores, p. ej. 'login-ip'
+ * @param {number} options.windowMs duración de la ventana
+ * @param {number} options.max solicitudes permitidas por ventana
+ * @param {(req) => string | null} options.key clave a limitar; sin clave la solicitud no se cuenta
+ */
+const rateLimit = ({ name, windowMs, max, key }) => async (req, res, next) => {
+  const value = key(req);
+  if (!value) return next();
+
+  let result;
+  try {
+    result = await consume(`${name}:${value}`, { windowMs, max });
+  } catch (error) {
+    // Si el almacén no responde se deja pasar la solicitud: es preferible a tumbar el login
+    console.error(`Error consultando el límite ${name}:`, error);
+    return next();
+  }
+
+  if (result.limited) {
+    return next(new AppError('TOO_MANY_REQUESTS', 429, { extra: { retryAfter: result.retryAfter } }));
+  }
+  next();
+};
+
+// Claves habituales: la IP del cliente y el correo de la cuenta que viene en el cuerpo
+const byIp = (req) => req.ip;
+const byEmail = (req) =>
+  (typeof req.body?.email === 'string' && req.body.email.trim() ? req.body.email.trim().toLowerCase() : null);
+
+module.exports = { rateLimit, byIp, byEmail };
@@ -0,0 +1,30 @@
+// middleware/validate.js
+// Valida body, query y params de la solicitud contra esquemas de utils/validation.js
+// antes de llegar a la ruta. Si algo falla responde 400 VALIDATION_ERROR con los detalles por campo.
+const { validateSchema } = require('../utils/validation');
+const { validationError } = require('../utils/errors');
+
+const SOURCES = ['params', 'query', 'body'];
+
+const coerceAll = (properties) =>
+  Object.fromEntries(Object.entries(properties).map(([key, rule]) => [key, { coerce: true, ...rule }]));
+
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+  for (const source of SOURCES) {
+    if (!schemas[source]) continue;
+    // En la query y los params se aceptan campos extra y los números llegan como texto
+    const lenient = source !== 'body';
+    const schema = lenient
+      ? { type: 'object', allowUnknown: true, properties: coerceAll(schemas[source]) }
+      : schemas[source];
+    details.push(...validateSchema(req[source] ?? (source === 'body' ? undefined : {}), schema, source === 'body' ? '' : source));
+  }
+
+  if (details.length > 0) {
+    return next(validationError(details));
+  }
+  next();
+};
+
+module.exports = { validate };
@@ -0,0 +1,15 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Registro de quién cambió qué en el catálogo (solo se agregan entradas, nunca se editan)
+const auditLogSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  action: { type: String, enum: ['create', 'update', 'archive'], required: true },
+  entity: { type: String, required: true },
+  entityId: { type: String, required: true },
+  changes: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,15 @@
+// models/Cart.js
+const mongoose = require('mongoose');
+
+// Carrito persistente: uno por usuario
+const cartSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  items: [{
+    productId: { type: String, required: true },
+    size: { type: String, default: '' },
+    color: { type: String, default: '' },
+    quantity: { type: Number, required: true, min: 1 }
+  }]
+}, { timestamps: true });
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,19 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// Secuencias numéricas (p. ej. numeración de facturas)
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+counterSchema.statics.next = async function (name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,22 @@
+// models/Coupon.js
+const mongoose = require('mongoose');
+
+// Cupones de descuento. Sin categorías ni tipos de producto el cupón aplica a todo el carrito.
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, default: '' },
+  type: { type: String, enum: ['percentage', 'fixed'], required: true },
+  value: { type: Number, required: true, min: 0 },
+  minSubtotal: { type: Number, default: 0, min: 0 },
+  categories: { type: [String], default: [] },
+  productTypes: { type: [String], default: [] },
+  // Límites de uso opcionales: en total y por cliente
+  maxUses: { type: Number, min: 1 },
+  maxUsesPerUser: { type: Number, min: 1 },
+  usedCount: { type: Number, default: 0 },
+  startsAt: Date,
+  endsAt: Date,
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Coupon', couponSchema);
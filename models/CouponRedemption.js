@@ -0,0 +1,15 @@
+// models/CouponRedemption.js
+const mongoose = require('mongoose');
+
+// Cada uso de un cupón en un pedido, para controlar los límites por cliente
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+  code: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  orderId: { type: String, required: true },
+  amount: { type: Number, required: true }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,17 @@
+// models/EmailOutbox.js
+const mongoose = require('mongoose');
+
+// Correos pendientes de envío; el worker de services/outbox.js reintenta los que fallan
+const emailOutboxSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: String,
+  sentAt: Date
+}, { timestamps: true });
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -0,0 +1,66 @@
+// models/Order.js
+const mongoose = require('mongoose');
+
+const ORDER_STATUSES = ['pending', 'paid', 'payment_failed', 'preparing', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+const orderSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  customer: {
+    name: { type: String, required: true },
+    email: { type: String, required: true },
+    idNumber: { type: String, required: true },
+    phone: { type: String, required: true },
+    address: {
+      street: { type: String, required: true },
+      neighborhood: { type: String, required: true },
+      district: { type: String, required: true },
+      city: { type: String, required: true }
+    }
+  },
+  items: [{
+    productId: { type: String, required: true },
+    name: { type: String, required: true },
+    price: { type: Number, required: true },
+    quantity: { type: Number, required: true },
+    size: String,
+    color: String,
+    image: String,
+    // Copia de la clasificación del producto al momento de la compra (cupones por categoría/tipo y reportes)
+    category: String,
+    productType: String
+  }],
+  subtotal: { type: Number, required: true },
+  // Descuento aplicado con cupón (total = subtotal - discount.amount + shipping)
+  discount: {
+    code: String,
+    description: String,
+    amount: Number
+  },
+  shipping: { type: Number, required: true },
+  total: { type: Number, required: true },
+  date: { type: Date, default: Date.now },
+  status: { type: String, enum: ORDER_STATUSES, default: 'pending' },
+  trackingNumber: String,
+  invoiceNumber: { type: Number, unique: true, sparse: true },
+  statusHistory: [{
+    _id: false,
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    note: String,
+    date: { type: Date, default: Date.now }
+  }]
+});
+
+// Reportes de ventas por estado y rango de fechas
+orderSchema.index({ status: 1, date: -1 });
+
+// El historial arranca con el estado con el que se crea la orden
+orderSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.userId, date: this.date });
+  }
+  next();
+});
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,17 @@
+// models/Payment.js
+const mongoose = require('mongoose');
+
+// Intento de pago de un pedido en una pasarela. `reference` es el identificador que viaja a la pasarela.
+const paymentSchema = new mongoose.Schema({
+  orderId: { type: String, required: true, index: true },
+  provider: { type: String, required: true },
+  reference: { type: String, required: true, unique: true },
+  amount: { type: Number, required: true },
+  currency: { type: String, default: 'COP' },
+  status: { type: String, enum: ['pending', 'approved', 'declined'], default: 'pending' },
+  checkoutUrl: String,
+  providerTransactionId: String,
+  finishedAt: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,16 @@
+// models/PaymentEvent.js
+const mongoose = require('mongoose');
+
+// Eventos recibidos por webhook; el índice único evita procesar dos veces el mismo evento
+const paymentEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  eventId: { type: String, required: true },
+  reference: String,
+  status: String,
+  payload: mongoose.Schema.Types.Mixed,
+  processedAt: Date
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,25 @@
+// models/Product.js
+const mongoose = require('mongoose');
+
+const productSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  price: { type: Number, required: true },
+  image: { type: String, required: true },
+  category: { type: String, required: true },
+  productType: { 
+    type: String, 
+    enum: ['clothing', 'accessory', 'gloves', 'kneepads'], 
+    required: true 
+  },
+  // Peso en gramos, para las zonas de envío que cobran por kilo
+  weight: { type: Number, min: 0 },
+  // Los productos archivados no se muestran ni se venden, pero se conservan para pedidos y reportes
+  archived: { type: Boolean, default: false },
+  archivedAt: Date
+  // El stock por variante vive en la colección Stock (ver models/Stock.js)
+}, { timestamps: true });
+
+productSchema.index({ category: 1, price: 1 });
+
+module.exports = mongoose.model('Product', productSchema);
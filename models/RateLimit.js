@@ -0,0 +1,14 @@
+// models/RateLimit.js
+const mongoose = require('mongoose');
+
+// Contadores de solicitudes por clave (p. ej. "login:ip:1.2.3.4") para el límite compartido entre instancias
+const rateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, required: true },
+  resetAt: { type: Date, required: true }
+});
+
+// Mongo borra los contadores cuando termina su ventana
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
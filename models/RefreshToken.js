@@ -0,0 +1,18 @@
+// models/RefreshToken.js
+const mongoose = require('mongoose');
+
+// Refresh tokens por usuario/dispositivo; solo se guarda el hash del token
+const refreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  device: { type: String, default: '' },
+  ip: String,
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  replacedBy: String
+}, { timestamps: true });
+
+// MongoDB borra los tokens vencidos automáticamente
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,18 @@
+// models/Reservation.js
+const mongoose = require('mongoose');
+
+// Unidades de una variante apartadas temporalmente para un usuario (ver services/reservations.js)
+const reservationSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  productId: { type: String, required: true },
+  size: { type: String, default: '' },
+  color: { type: String, default: '' },
+  quantity: { type: Number, required: true, min: 1 },
+  expiresAt: { type: Date, required: true },
+  status: { type: String, enum: ['active', 'released', 'converted'], default: 'active' }
+}, { timestamps: true });
+
+reservationSchema.index({ userId: 1, status: 1 });
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,12 @@
+// models/RevokedToken.js
+const mongoose = require('mongoose');
+
+// Lista de access tokens revocados (por `jti`) hasta que expiran por sí solos
+const revokedTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true }
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
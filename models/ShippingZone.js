@@ -0,0 +1,33 @@
+// models/ShippingZone.js
+const mongoose = require('mongoose');
+
+// Sin tildes ni mayúsculas, para que "Bogotá" y "bogota" sean la misma zona
+const normalizePlace = (value = '') =>
+  String(value).normalize('NFD').replace(/[̀-ͯ]/g, '').trim().toLowerCase();
+
+// Tarifas de envío por ciudad (y opcionalmente barrio/localidad). La ciudad '*' es la zona por defecto.
+const shippingZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  city: { type: String, required: true },
+  district: { type: String, default: '' },
+  cityKey: { type: String, required: true },
+  districtKey: { type: String, default: '' },
+  // flat: tarifa fija · per_item: base + tarifa por unidad · per_kg: base + tarifa por kilo (o fracción)
+  rateType: { type: String, enum: ['flat', 'per_item', 'per_kg'], default: 'flat' },
+  baseRate: { type: Number, required: true, min: 0 },
+  rate: { type: Number, default: 0, min: 0 },
+  freeShippingThreshold: { type: Number, min: 0 },
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+shippingZoneSchema.index({ cityKey: 1, districtKey: 1 }, { unique: true });
+
+shippingZoneSchema.pre('validate', function (next) {
+  this.cityKey = normalizePlace(this.city);
+  this.districtKey = normalizePlace(this.district);
+  next();
+});
+
+shippingZoneSchema.statics.normalizePlace = normalizePlace;
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
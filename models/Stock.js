@@ -5,7 +5,11 @@ const stockSchema = new mongoose.Schema({
   productId: { type: String, required: true },
   size: { type: String, default: '' },
   color: { type: String, default: '' },
-  quantity: { type: Number, required: true, min: 0 }
+  quantity: { type: Number, required: true, min: 0 },
+  // Unidades apartadas por reservas de carrito activas (siempre <= quantity)
+  reserved: { type: Number, default: 0, min: 0 },
+  // Por debajo de este número se avisa al personal; sin valor se usa LOW_STOCK_THRESHOLD
+  lowStockThreshold: { type: Number, min: 0 }
 }, { timestamps: true });
 
 // Índice compuesto para búsquedas rápidas
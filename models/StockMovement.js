@@ -0,0 +1,44 @@
+// models/StockMovement.js
+const mongoose = require('mongoose');
+
+// Motivos de movimiento: ventas, ajustes manuales (mismos motivos que /api/stock/adjust),
+// devoluciones por cancelación y cambios hechos desde el catálogo o la importación CSV
+const MOVEMENT_TYPES = [
+  'sale',
+  'restock',
+  'return',
+  'correction',
+  'damage',
+  'loss',
+  'cancellation',
+  'product_edit',
+  'import'
+];
+
+// Libro de movimientos de inventario: solo se agregan registros, nunca se modifican ni borran
+const stockMovementSchema = new mongoose.Schema({
+  productId: { type: String, required: true },
+  size: { type: String, default: '' },
+  color: { type: String, default: '' },
+  type: { type: String, enum: MOVEMENT_TYPES, required: true },
+  // Unidades que entraron (positivo) o salieron (negativo) y la cantidad resultante
+  quantity: { type: Number, required: true },
+  balance: { type: Number, required: true },
+  reference: String,
+  note: String,
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+stockMovementSchema.index({ productId: 1, size: 1, color: 1, createdAt: -1 });
+
+const rejectChanges = function (next) {
+  next(new Error('Los movimientos de inventario no se pueden modificar ni borrar'));
+};
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  stockMovementSchema.pre(operation, rejectChanges);
+}
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+StockMovement.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+module.exports = StockMovement;
@@ -0,0 +1,35 @@
+// models/User.js
+const mongoose = require('mongoose');
+
+// Dirección guardada en el perfil, con los mismos campos que la dirección de un pedido
+const addressSchema = new mongoose.Schema({
+  label: String,
+  street: { type: String, required: true },
+  neighborhood: { type: String, required: true },
+  district: { type: String, required: true },
+  city: { type: String, required: true },
+  isDefault: { type: Boolean, default: false }
+});
+
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true },
+  password: { type: String, required: true },
+  role: { type: String, enum: ['customer', 'staff', 'admin'], default: 'customer' },
+  // Sin valor por defecto: las cuentas creadas antes de la verificación por correo no lo tienen y
+  // siguen entrando; solo `false` (cuentas nuevas sin verificar) impide el login
+  emailVerified: Boolean,
+  // Datos del cliente para prellenar el checkout
+  name: String,
+  idNumber: String,
+  phone: String,
+  addresses: [addressSchema],
+  resetPasswordToken: String,
+  resetPasswordExpires: Date,
+  // Los access tokens emitidos antes de esta fecha dejan de ser válidos ("cerrar todas las sesiones")
+  sessionsValidFrom: Date,
+  // Intentos de login fallidos seguidos y bloqueo temporal resultante (ver services/loginAttempts.js)
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: Date
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,308 @@
+// routes/authRoutes.js
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Cart = require('../models/Cart');
+const RefreshToken = require('../models/RefreshToken');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { rateLimit, byIp, byEmail } = require('../middleware/rateLimit');
+const { AppError } = require('../utils/errors');
+const {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllSessions
+} = require('../services/tokens');
+const { releaseReservations } = require('../services/reservations');
+const { attachGuestOrders } = require('../services/guestOrders');
+const { queueVerificationEmail, queuePasswordReset } = require('../services/accountEmails');
+const { assertNotLocked, recordFailedLogin, clearFailedLogins } = require('../services/loginAttempts');
+
+// Hash con el que se compara la contraseña cuando el correo no existe
+const UNKNOWN_USER_HASH = bcrypt.hashSync('sin-cuenta', 12);
+
+const PASSWORD_RULE = { type: 'string', required: true, minLength: 8, maxLength: 128 };
+const EMAIL_RULE = { type: 'string', required: true, trim: true, format: 'email', maxLength: 254 };
+const CREDENTIALS_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: { email: EMAIL_RULE, password: PASSWORD_RULE }
+};
+const LOGIN_SCHEMA = {
+  type: 'object',
+  required: true,
+  // `device` identifica la sesión en la lista de dispositivos (ver services/tokens.js)
+  properties: { email: EMAIL_RULE, password: { type: 'string', required: true }, device: { type: 'string', maxLength: 200 } }
+};
+// Límites por IP y por cuenta de las rutas expuestas a fuerza bruta o a abuso del correo
+const MINUTE = 60 * 1000;
+const LOGIN_LIMITS = [
+  rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 20, key: byIp }),
+  rateLimit({ name: 'login-account', windowMs: 15 * MINUTE, max: 10, key: byEmail })
+];
+const REGISTER_LIMITS = [
+  rateLimit({ name: 'register-ip', windowMs: 60 * MINUTE, max: 5, key: byIp })
+];
+const VERIFICATION_LIMITS = [
+  rateLimit({ name: 'verification-ip', windowMs: 60 * MINUTE, max: 5, key: byIp }),
+  rateLimit({ name: 'verification-account', windowMs: 60 * MINUTE, max: 3, key: byEmail })
+];
+const FORGOT_PASSWORD_LIMITS = [
+  rateLimit({ name: 'forgot-password-ip', windowMs: 60 * MINUTE, max: 5, key: byIp }),
+  rateLimit({ name: 'forgot-password-account', windowMs: 60 * MINUTE, max: 3, key: byEmail })
+];
+
+const REFRESH_SCHEMA = {
+  type: 'object',
+  properties: { refreshToken: { type: 'string' } }
+};
+
+// Ruta para obtener información del usuario autenticado
+router.get('/user', authenticate, async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw new AppError('USER_NOT_FOUND', 404);
+  }
+
+  res.json({ email: user.email, role: user.role });
+});
+
+// Ruta para cerrar sesión: revoca el refresh token del dispositivo y el access token actual
+router.post('/logout', authenticate, validate({ body: REFRESH_SCHEMA }), async (req, res) => {
+  await revokeRefreshToken(req.body?.refreshToken, req.userId);
+  await revokeAccessToken(req.tokenId, req.tokenExpiresAt);
+
+  res.json({ message: 'Sesión cerrada correctamente' });
+});
+
+// Ruta para cerrar todas las sesiones del usuario en todos sus dispositivos
+router.post('/logout-all', authenticate, async (req, res) => {
+  await revokeAllSessions(req.userId);
+  await revokeAccessToken(req.tokenId, req.tokenExpiresAt);
+
+  res.json({ message: 'Se cerraron todas las sesiones' });
+});
+
+// Ruta para renovar el access token con un refresh token (rotación: cada refresh token sirve una vez)
+router.post('/token/refresh', validate({ body: REFRESH_SCHEMA }), async (req, res) => {
+  const result = await rotateRefreshToken(req.body?.refreshToken, req);
+  if (!result) {
+    throw new AppError('SESSION_EXPIRED', 401);
+  }
+
+  res.json({ ...result.tokens, userId: result.user._id, role: result.user.role });
+});
+
+// Ruta de registro
+router.post('/register', REGISTER_LIMITS, validate({ body: CREDENTIALS_SCHEMA }), async (req, res) => {
+  const email = req.body.email.trim();
+  const { password } = req.body;
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new AppError('USER_EXISTS');
+  }
+
+  const hashedPassword = await bcrypt.hash(password, 12);
+  const newUser = new User({ email, password: hashedPassword, emailVerified: false });
+  await newUser.save();
+
+  // La cuenta ya existe: la bandeja de salida reintenta el correo y también se puede pedir otro enlace
+  queueVerificationEmail(newUser);
+
+  res.status(201).json({ message: 'Usuario creado. Revisa tu correo para activar la cuenta.' });
+});
+
+// Ruta para confirmar el correo con el enlace enviado al registrarse
+router.post('/verify-email', validate({
+  body: { type: 'object', required: true, properties: { token: { type: 'string', required: true } } }
+}), async (req, res) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(req.body.token, process.env.EMAIL_VERIFICATION_SECRET);
+  } catch (error) {
+    throw new AppError('VERIFICATION_LINK_INVALID');
+  }
+
+  // Volver a abrir el enlace no es un error mientras siga vigente
+  const user = await User.findOneAndUpdate(
+    { _id: decoded.userId, email: decoded.email },
+    { emailVerified: true },
+    { new: true }
+  );
+  if (!user) {
+    throw new AppError('VERIFICATION_LINK_INVALID');
+  }
+
+  // Con el correo ya verificado, las compras hechas como invitado pasan a la cuenta
+  const attachedOrders = await attachGuestOrders(user);
+
+  res.json({ message: 'Correo verificado, ya puedes iniciar sesión', attachedOrders });
+});
+
+// Ruta para pedir otro enlace de verificación
+router.post('/resend-verification', VERIFICATION_LIMITS, validate({
+  body: { type: 'object', required: true, properties: { email: EMAIL_RULE } }
+}), async (req, res) => {
+  // Misma respuesta (y mismo tiempo: el correo se encola sin esperar) exista o no la cuenta,
+  // para no revelar qué correos están registrados
+  const user = await User.findOne({ email: req.body.email.trim(), emailVerified: false });
+  if (user) {
+    queueVerificationEmail(user);
+  }
+
+  res.json({ message: 'Si la cuenta está pendiente de verificación, recibirás un nuevo enlace.' });
+});
+
+// Ruta de login
+router.post('/login', LOGIN_LIMITS, validate({ body: LOGIN_SCHEMA }), async (req, res) => {
+  const email = req.body.email.trim();
+  const { password } = req.body;
+
+  // Correo desconocido y contraseña incorrecta responden igual (y tardan lo mismo, comparando contra
+  // un hash cualquiera) para no revelar qué correos tienen cuenta
+  const user = await User.findOne({ email });
+  if (!user) {
+    await bcrypt.compare(password, UNKNOWN_USER_HASH);
+    throw new AppError('INVALID_CREDENTIALS');
+  }
+
+  // Con la cuenta bloqueada no se compara la contraseña, ni siquiera la correcta
+  assertNotLocked(user);
+
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    await recordFailedLogin(user);
+    throw new AppError('INVALID_CREDENTIALS');
+  }
+
+  await clearFailedLogins(user);
+
+  // Las cuentas anteriores a la verificación no tienen el campo y entran como antes
+  if (user.emailVerified === false) {
+    throw new AppError('EMAIL_NOT_VERIFIED', 403);
+  }
+
+  const tokens = await issueTokens(user, req);
+
+  res.json({ ...tokens, userId: user._id, role: user.role });
+});
+
+// Ruta para olvidó contraseña
+router.post('/forgot-password', FORGOT_PASSWORD_LIMITS, validate({
+  body: { type: 'object', required: true, properties: { email: EMAIL_RULE } }
+}), async (req, res) => {
+  // Misma respuesta exista o no el correo, para no revelar qué cuentas están registradas
+  const genericResponse = { message: 'Si el correo está registrado, recibirás un enlace para restablecer tu contraseña.' };
+
+  const email = req.body.email.trim();
+
+  // El correo se encola sin esperar: la respuesta tarda lo mismo y no depende del envío
+  const user = await User.findOne({ email });
+  if (user) {
+    queuePasswordReset(user);
+  }
+
+  res.json(genericResponse);
+});
+
+// Ruta para restablecer la contraseña con el enlace enviado por correo
+router.post('/reset-password', validate({
+  body: {
+    type: 'object',
+    required: true,
+    properties: { token: { type: 'string', required: true }, password: PASSWORD_RULE }
+  }
+}), async (req, res) => {
+  const { token, password } = req.body;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.RESET_SECRET);
+  } catch (error) {
+    throw new AppError('RESET_LINK_INVALID');
+  }
+
+  const user = await User.findOne({
+    _id: decoded.userId,
+    resetPasswordToken: hashToken(token),
+    resetPasswordExpires: { $gt: Date.now() }
+  });
+  if (!user) {
+    throw new AppError('RESET_LINK_INVALID');
+  }
+
+  user.password = await bcrypt.hash(password, 12);
+  // Quien abrió el enlace recibido por correo demostró que el correo es suyo
+  const verifiesEmail = user.emailVerified === false;
+  if (verifiesEmail) user.emailVerified = true;
+  // El enlace es de un solo uso
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpires = undefined;
+  await user.save();
+  if (verifiesEmail) await attachGuestOrders(user);
+
+  // Quien tenga la contraseña anterior no debe conservar sesiones abiertas
+  await revokeAllSessions(user._id);
+
+  res.json({ message: 'Contraseña actualizada correctamente' });
+});
+
+// Ruta para cambiar la contraseña conociendo la actual; cierra las demás sesiones
+router.post('/change-password', authenticate, validate({
+  body: {
+    type: 'object',
+    required: true,
+    properties: { currentPassword: { type: 'string', required: true }, newPassword: PASSWORD_RULE }
+  }
+}), async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw new AppError('USER_NOT_FOUND', 404);
+  }
+
+  const isMatch = await bcrypt.compare(req.body.currentPassword, user.password);
+  if (!isMatch) {
+    throw new AppError('INVALID_CREDENTIALS');
+  }
+
+  user.password = await bcrypt.hash(req.body.newPassword, 12);
+  await user.save();
+
+  // Se cierran todas las sesiones y este dispositivo recibe un par de tokens nuevo
+  await revokeAllSessions(user._id);
+  await revokeAccessToken(req.tokenId, req.tokenExpiresAt);
+  const tokens = await issueTokens(user, req);
+
+  res.json({ message: 'Contraseña actualizada correctamente', ...tokens });
+});
+
+// Ruta para eliminar la cuenta (pide la contraseña). Los pedidos se conservan para la contabilidad
+router.delete('/account', authenticate, validate({
+  body: { type: 'object', required: true, properties: { password: { type: 'string', required: true } } }
+}), async (req, res) => {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw new AppError('USER_NOT_FOUND', 404);
+  }
+
+  const isMatch = await bcrypt.compare(req.body.password, user.password);
+  if (!isMatch) {
+    throw new AppError('INVALID_CREDENTIALS');
+  }
+
+  // El stock reservado vuelve a estar disponible; sin usuario los access tokens dejan de servir
+  await releaseReservations(user._id);
+  await Cart.deleteOne({ userId: user._id });
+  await RefreshToken.deleteMany({ userId: user._id });
+  await user.deleteOne();
+
+  res.json({ message: 'Cuenta eliminada' });
+});
+
+module.exports = router;
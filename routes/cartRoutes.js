@@ -0,0 +1,81 @@
+// routes/cartRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { getCart, addItem, updateItem, removeItem, clearCart, reserveCart } = require('../services/cart');
+const { releaseReservations } = require('../services/reservations');
+const { AppError } = require('../utils/errors');
+
+const QUANTITY = { type: 'integer', required: true, min: 1 };
+
+// Todas las rutas del carrito son del usuario autenticado
+router.use(authenticate);
+
+// Un id de línea mal formado no puede estar en el carrito
+const checkItemId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.itemId)) {
+    return next(new AppError('CART_ITEM_NOT_FOUND', 404));
+  }
+  next();
+};
+
+// Ruta para ver el carrito
+router.get('/', async (req, res) => {
+  res.json(await getCart(req.userId));
+});
+
+// Ruta para agregar un producto (si la variante ya está en el carrito se suma la cantidad)
+router.post('/items', validate({
+  body: {
+    id: { type: 'string', required: true, trim: true },
+    size: { type: 'string' },
+    color: { type: 'string' },
+    quantity: QUANTITY
+  }
+}), async (req, res) => {
+  const { id, size, color, quantity } = req.body;
+
+  await addItem(req.userId, { id, size, color, quantity });
+  res.status(201).json(await getCart(req.userId));
+});
+
+// Ruta para cambiar la cantidad de una línea del carrito
+router.patch('/items/:itemId', checkItemId, validate({ body: { quantity: QUANTITY } }), async (req, res) => {
+  await updateItem(req.userId, req.params.itemId, req.body.quantity);
+  res.json(await getCart(req.userId));
+});
+
+// Ruta para quitar una línea del carrito
+router.delete('/items/:itemId', checkItemId, async (req, res) => {
+  await removeItem(req.userId, req.params.itemId);
+  res.json(await getCart(req.userId));
+});
+
+// Ruta para vaciar el carrito (también libera las reservas)
+router.delete('/', async (req, res) => {
+  await releaseReservations(req.userId);
+  await clearCart(req.userId);
+  res.json(await getCart(req.userId));
+});
+
+// Ruta para apartar las unidades del carrito durante unos minutos
+router.post('/reserve', validate({
+  body: { type: 'object', properties: { minutes: { type: 'integer', min: 1 } } }
+}), async (req, res) => {
+  const { problems, reservations, expiresAt } = await reserveCart(req.userId, req.body?.minutes);
+  if (problems.length > 0) {
+    throw new AppError('RESERVATION_FAILED', 409, { details: problems });
+  }
+
+  res.status(201).json({ success: true, expiresAt, reservations });
+});
+
+// Ruta para liberar las reservas del usuario
+router.delete('/reserve', async (req, res) => {
+  await releaseReservations(req.userId);
+  res.json({ success: true });
+});
+
+module.exports = router;
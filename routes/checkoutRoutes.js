@@ -0,0 +1,67 @@
+// routes/checkoutRoutes.js
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { rateLimit, byIp } = require('../middleware/rateLimit');
+const { placeOrder, CUSTOMER_SCHEMA, ORDER_ITEMS_SCHEMA } = require('../services/checkout');
+const { customerFromProfile } = require('../services/profile');
+const { signOrderToken, guestOrderView } = require('../services/guestOrders');
+const { AppError } = require('../utils/errors');
+
+const ITEMS_FIELDS = {
+  items: ORDER_ITEMS_SCHEMA,
+  couponCode: { type: 'string', trim: true }
+};
+
+const CHECKOUT_SCHEMA = {
+  type: 'object',
+  required: true,
+  // El cliente puede seguir mandando subtotal, envío o total: se ignoran
+  allowUnknown: true,
+  // Sin `customer` se usan los datos del perfil con la dirección `addressId` (o la predeterminada)
+  properties: {
+    customer: { ...CUSTOMER_SCHEMA, required: false },
+    addressId: { type: 'objectId' },
+    ...ITEMS_FIELDS
+  }
+};
+
+// Los invitados no tienen perfil: siempre mandan sus datos
+const GUEST_CHECKOUT_SCHEMA = {
+  ...CHECKOUT_SCHEMA,
+  properties: { customer: CUSTOMER_SCHEMA, ...ITEMS_FIELDS }
+};
+
+// Sin cuenta no hay límite por usuario: se limita por IP para frenar pedidos falsos que bloqueen stock
+const GUEST_LIMIT = rateLimit({ name: 'guest-checkout-ip', windowMs: 60 * 60 * 1000, max: 10, key: byIp });
+
+// Checkout: valida stock, calcula precios y crea la orden en una sola transacción
+router.post('/', authenticate, validate({ body: CHECKOUT_SCHEMA }), async (req, res) => {
+  // El costo de envío lo calcula el servidor según la zona; se ignora el que mande el cliente
+  const { items, couponCode, addressId } = req.body;
+
+  let { customer } = req.body;
+  if (!customer) {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw new AppError('USER_NOT_FOUND', 404);
+    }
+    customer = customerFromProfile(user, addressId);
+  }
+
+  const order = await placeOrder({ userId: req.userId, customer, items, couponCode });
+  res.status(201).json({ success: true, order });
+});
+
+// Checkout de invitados: el pedido queda sin usuario y se consulta con el token devuelto
+// (el mismo del enlace del correo de confirmación) o con número de pedido + correo
+router.post('/guest', GUEST_LIMIT, validate({ body: GUEST_CHECKOUT_SCHEMA }), async (req, res) => {
+  const { customer, items, couponCode } = req.body;
+
+  const order = await placeOrder({ userId: null, customer, items, couponCode });
+  res.status(201).json({ success: true, order: guestOrderView(order), orderToken: signOrderToken(order) });
+});
+
+module.exports = router;
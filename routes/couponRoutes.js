@@ -0,0 +1,92 @@
+// routes/couponRoutes.js
+const express = require('express');
+const router = express.Router();
+const Coupon = require('../models/Coupon');
+const Cart = require('../models/Cart');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { checkCoupon, validateCouponPayload, normalizeCode, CouponError } = require('../services/coupons');
+const { AppError, validationError } = require('../utils/errors');
+
+// Un código repetido al crear o renombrar un cupón
+const duplicateCode = (error) =>
+  (error.code === 11000 ? new CouponError('COUPON_EXISTS', 409) : error);
+
+const VALIDATE_SCHEMA = {
+  code: { type: 'string', required: true, trim: true },
+  items: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: true,
+      allowUnknown: true,
+      properties: {
+        id: { type: 'string', required: true, trim: true },
+        quantity: { type: 'integer', required: true, min: 1 }
+      }
+    }
+  }
+};
+
+// Valida un código contra los productos indicados o, si no se envían, contra el carrito guardado
+router.post('/validate', authenticate, validate({ body: VALIDATE_SCHEMA }), async (req, res) => {
+  const { code } = req.body;
+  let { items } = req.body;
+
+  if (items === undefined) {
+    const cart = await Cart.findOne({ userId: req.userId }).lean();
+    items = (cart?.items || []).map(item => ({ id: item.productId, quantity: item.quantity }));
+  }
+  if (items.length === 0) {
+    throw new AppError('CART_EMPTY');
+  }
+
+  try {
+    res.json({ valid: true, ...await checkCoupon(code, { userId: req.userId, items }) });
+  } catch (error) {
+    // El frontend distingue un cupón rechazado de un error de la solicitud por `valid`
+    if (error instanceof CouponError) error.extra = { ...error.extra, valid: false };
+    throw error;
+  }
+});
+
+// Administración de cupones: el personal los consulta, solo los administradores los modifican
+router.get('/', authenticate, authorize('staff', 'admin'), validate({ query: { active: { type: 'boolean' } } }), async (req, res) => {
+  const filter = req.query.active === undefined ? {} : { active: req.query.active === 'true' };
+  const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).lean();
+  res.json({ coupons });
+});
+
+router.post('/', authenticate, authorize('admin'), async (req, res) => {
+  const { errors, value } = validateCouponPayload(req.body);
+  if (errors.length > 0) throw validationError(errors, 'INVALID_COUPON');
+
+  try {
+    const coupon = await Coupon.create(value);
+    res.status(201).json(coupon);
+  } catch (error) {
+    throw duplicateCode(error);
+  }
+});
+
+// Para desactivar un cupón se envía { active: false }; no se borran porque los pedidos los referencian
+router.patch('/:code', authenticate, authorize('admin'), async (req, res) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(req.params.code) });
+  if (!coupon) {
+    throw new CouponError('COUPON_NOT_FOUND', 404);
+  }
+
+  const { errors, value, unset } = validateCouponPayload(req.body, coupon);
+  if (errors.length > 0) throw validationError(errors, 'INVALID_COUPON');
+
+  coupon.set(value);
+  unset.forEach(field => { coupon[field] = undefined; });
+  try {
+    await coupon.save();
+  } catch (error) {
+    throw duplicateCode(error);
+  }
+  res.json(coupon);
+});
+
+module.exports = router;
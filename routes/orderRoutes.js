@@ -0,0 +1,142 @@
+// routes/orderRoutes.js
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { rateLimit, byIp } = require('../middleware/rateLimit');
+const { changeOrderStatus } = require('../services/orderStatus');
+const { generateInvoice } = require('../services/invoice');
+const { placeOrder, CUSTOMER_SCHEMA, ORDER_ITEMS_SCHEMA } = require('../services/checkout');
+const { findOrderByEmail, findOrderByToken, guestOrderView, signOrderToken } = require('../services/guestOrders');
+const { AppError } = require('../utils/errors');
+
+const STAFF_ROLES = ['staff', 'admin'];
+const MAX_PAGE_SIZE = 50;
+
+// El personal puede ver cualquier pedido; un cliente solo los suyos
+const canViewOrder = (req, order) =>
+  STAFF_ROLES.includes(req.userRole) || String(order.userId) === String(req.userId);
+
+const TEXT = { type: 'string', required: true, trim: true };
+// Formato del frontend anterior: orderId, precios y totales se siguen aceptando pero se ignoran
+const ORDER_DATA_SCHEMA = {
+  orderData: {
+    type: 'object',
+    required: true,
+    allowUnknown: true,
+    properties: {
+      customer: CUSTOMER_SCHEMA,
+      items: ORDER_ITEMS_SCHEMA
+    }
+  }
+};
+const PAGE_QUERY = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+};
+const LOOKUP_SCHEMA = {
+  orderId: TEXT,
+  email: { ...TEXT, format: 'email' }
+};
+// Frena la búsqueda de pedidos probando números y correos
+const LOOKUP_LIMIT = rateLimit({ name: 'order-lookup-ip', windowMs: 15 * 60 * 1000, max: 20, key: byIp });
+const STATUS_SCHEMA = {
+  status: { type: 'string', required: true },
+  note: { type: 'string', maxLength: 500 },
+  trackingNumber: { type: 'string', trim: true, maxLength: 100 }
+};
+
+// Busca el pedido y responde 404 también cuando es de otro cliente, para no revelar que existe
+async function findVisibleOrder(req) {
+  const order = await Order.findOne({ orderId: req.params.orderId });
+  if (!order || !canViewOrder(req, order)) {
+    throw new AppError('ORDER_NOT_FOUND', 404);
+  }
+  return order;
+}
+
+// Ruta heredada para guardar la orden: pasa por el mismo checkout que /api/checkout, así que
+// precios, envío y totales salen de la base de datos y el stock se descuenta en la transacción
+router.post('/', authenticate, validate({ body: ORDER_DATA_SCHEMA }), async (req, res) => {
+  const { customer, items } = req.body.orderData;
+
+  const order = await placeOrder({
+    userId: req.userId,
+    customer,
+    items: items.map(({ id, size, color, quantity }) => ({ id, size, color, quantity }))
+  });
+  res.json({ success: true, order });
+});
+
+// Ruta para listar los pedidos del usuario autenticado (más recientes primero)
+router.get('/', authenticate, validate({ query: PAGE_QUERY }), async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_PAGE_SIZE);
+  const filter = { userId: req.userId };
+
+  const [orders, total] = await Promise.all([
+    Order.find(filter)
+      .sort({ date: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Order.countDocuments(filter)
+  ]);
+
+  res.json({ orders, page, limit, total, pages: Math.ceil(total / limit) });
+});
+
+// Ruta para que un invitado consulte su pedido con el número y el correo de la compra.
+// Devuelve también el token del enlace para seguir consultándolo (o pagarlo) sin volver a escribirlos
+router.post('/lookup', LOOKUP_LIMIT, validate({ body: LOOKUP_SCHEMA }), async (req, res) => {
+  const order = await findOrderByEmail(req.body.orderId.trim(), req.body.email);
+  if (!order) {
+    throw new AppError('ORDER_NOT_FOUND', 404);
+  }
+
+  res.json({ order: guestOrderView(order), orderToken: signOrderToken(order) });
+});
+
+// Ruta para consultar un pedido con el enlace firmado del correo de confirmación
+router.get('/lookup', LOOKUP_LIMIT, validate({ query: { token: TEXT } }), async (req, res) => {
+  const order = await findOrderByToken(req.query.token);
+  if (!order) {
+    throw new AppError('ORDER_LINK_INVALID', 404);
+  }
+
+  res.json({ order: guestOrderView(order) });
+});
+
+// Ruta para ver el detalle de un pedido
+router.get('/:orderId', authenticate, async (req, res) => {
+  res.json(await findVisibleOrder(req));
+});
+
+// Ruta para descargar la factura en PDF de un pedido
+router.get('/:orderId/invoice.pdf', authenticate, async (req, res) => {
+  const order = await findVisibleOrder(req);
+  const { pdf, filename } = await generateInvoice(order);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+});
+
+// Ruta para cambiar el estado de un pedido (solo personal de la tienda)
+router.patch('/:orderId/status', authenticate, authorize(...STAFF_ROLES), validate({ body: STATUS_SCHEMA }), async (req, res) => {
+  const { status, note, trackingNumber } = req.body;
+
+  const order = await changeOrderStatus(req.params.orderId, {
+    status,
+    note,
+    trackingNumber,
+    changedBy: req.userId
+  });
+
+  res.json({ success: true, order });
+});
+
+module.exports = router;
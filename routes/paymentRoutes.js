@@ -0,0 +1,62 @@
+// routes/paymentRoutes.js
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { authenticateOptional } = require('../middleware/auth');
+const { findOrderByToken } = require('../services/guestOrders');
+const { AppError } = require('../utils/errors');
+const { getWebhookProvider, createPaymentIntent, handlePaymentEvent } = require('../services/payments');
+
+const paymentView = (payment) => ({
+  reference: payment.reference,
+  provider: payment.provider,
+  amount: payment.amount,
+  currency: payment.currency,
+  status: payment.status,
+  checkoutUrl: payment.checkoutUrl
+});
+
+// Pedido del usuario indicado en la URL o 404. Los invitados se identifican con el token
+// del enlace del pedido (?token=, ver services/guestOrders.js)
+async function findUserOrder(req) {
+  if (!req.userId && !req.query.token) {
+    throw new AppError('UNAUTHORIZED', 401);
+  }
+
+  const order = req.userId
+    ? await Order.findOne({ orderId: req.params.orderId, userId: req.userId })
+    : await findOrderByToken(String(req.query.token));
+  if (!order || order.orderId !== req.params.orderId) {
+    throw new AppError('ORDER_NOT_FOUND', 404);
+  }
+  return order;
+}
+
+// Inicia (o retoma) el pago de un pedido pendiente del usuario o del invitado
+router.post('/orders/:orderId', authenticateOptional, async (req, res) => {
+  const order = await findUserOrder(req);
+  const payment = await createPaymentIntent(order);
+  res.status(201).json({ success: true, payment: paymentView(payment) });
+});
+
+// Pagos de un pedido del usuario, para mostrar el resultado al volver de la pasarela
+router.get('/orders/:orderId', authenticateOptional, async (req, res) => {
+  const order = await findUserOrder(req);
+  const payments = await Payment.find({ orderId: order.orderId }).sort({ createdAt: -1 }).lean();
+  res.json({ orderStatus: order.status, payments: payments.map(paymentView) });
+});
+
+// Webhook de la pasarela: se verifica la firma antes de tocar nada.
+// Los errores inesperados responden 500 para que la pasarela reintente el evento más tarde.
+router.post('/webhooks/:provider', async (req, res) => {
+  const provider = getWebhookProvider(req.params.provider);
+  if (!provider.verifyWebhook(req)) {
+    throw new AppError('INVALID_SIGNATURE', 401);
+  }
+
+  const { duplicate } = await handlePaymentEvent(provider.name, req.body);
+  res.json({ received: true, duplicate });
+});
+
+module.exports = router;
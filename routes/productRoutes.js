@@ -0,0 +1,330 @@
+// routes/productRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Product = require('../models/Product');
+const Stock = require('../models/Stock');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  availableQuantity,
+  formatStock,
+  getProductStock,
+  decrementStock,
+  replaceProductStock
+} = require('../services/stock');
+const { validateProductPayload } = require('../services/productValidation');
+const { recordAudit } = require('../services/audit');
+const { planImport, applyImport, exportCatalogCsv } = require('../services/catalogImport');
+const { AppError, validationError } = require('../utils/errors');
+const { fieldError } = require('../utils/validation');
+const { inTransaction } = require('../utils/transaction');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Ordenamientos disponibles: campo y dirección (el _id desempata y sirve de cursor)
+const SORTS = {
+  newest: { field: '_id', direction: -1 },
+  price_asc: { field: 'price', direction: 1 },
+  price_desc: { field: 'price', direction: -1 },
+  name_asc: { field: 'name', direction: 1 },
+  name_desc: { field: 'name', direction: -1 }
+};
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const encodeCursor = (product, field) =>
+  Buffer.from(JSON.stringify({ v: product[field], id: String(product._id) })).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) return null;
+    return { value: v, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Condición para continuar justo después del último producto de la página anterior
+function cursorFilter({ value, id }, { field, direction }) {
+  const op = direction === 1 ? '$gt' : '$lt';
+  if (field === '_id') {
+    return { _id: { [op]: id } };
+  }
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+}
+
+// Forma pública de un producto, con el stock en el mismo formato que /:id/stock
+const toCatalogProduct = ({ variants, totalStock, ...product }) => ({
+  id: product.id,
+  name: product.name,
+  price: product.price,
+  image: product.image,
+  category: product.category,
+  productType: product.productType,
+  stock: formatStock(variants),
+  totalStock
+});
+
+// Ruta para listar el catálogo con filtros, búsqueda, orden y paginación por cursor
+router.get('/', validate({
+  query: {
+    category: { type: 'string' },
+    productType: { type: 'string' },
+    minPrice: { type: 'number', min: 0 },
+    maxPrice: { type: 'number', min: 0 },
+    inStock: { type: 'boolean' },
+    q: { type: 'string', maxLength: 100 },
+    sort: { type: 'string', enum: Object.keys(SORTS) },
+    cursor: { type: 'string' },
+    limit: { type: 'integer', min: 1 }
+  }
+}), async (req, res) => {
+  const { category, productType, minPrice, maxPrice, inStock, q, sort = 'newest', cursor } = req.query;
+
+  const sortSpec = SORTS[sort];
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const match = { archived: { $ne: true } };
+  if (category) match.category = category;
+  if (productType) match.productType = productType;
+  if (q) match.name = { $regex: escapeRegex(q), $options: 'i' };
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    match.price = {};
+    if (minPrice !== undefined) match.price.$gte = Number(minPrice);
+    if (maxPrice !== undefined) match.price.$lte = Number(maxPrice);
+  }
+
+  const pipeline = [{ $match: match }];
+
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded) {
+      throw validationError([fieldError('query.cursor', 'INVALID_FORMAT')]);
+    }
+    pipeline.push({ $match: cursorFilter(decoded, sortSpec) });
+  }
+
+  const sortStage = { [sortSpec.field]: sortSpec.direction };
+  if (sortSpec.field !== '_id') sortStage._id = sortSpec.direction;
+
+  const stockStages = [
+    { $lookup: { from: Stock.collection.name, localField: 'id', foreignField: 'productId', as: 'variants' } },
+    { $addFields: { totalStock: { $subtract: [{ $sum: '$variants.quantity' }, { $sum: '$variants.reserved' }] } } }
+  ];
+
+  // Se pide uno de más para saber si hay página siguiente. El stock solo se cruza antes de
+  // paginar cuando hay que filtrar por él; si no, se cruza únicamente con la página pedida.
+  if (inStock === 'true') {
+    pipeline.push(...stockStages, { $match: { totalStock: { $gt: 0 } } }, { $sort: sortStage }, { $limit: limit + 1 });
+  } else {
+    pipeline.push({ $sort: sortStage }, { $limit: limit + 1 }, ...stockStages);
+  }
+
+  const results = await Product.aggregate(pipeline);
+  const hasMore = results.length > limit;
+  const page = results.slice(0, limit);
+
+  res.json({
+    products: page.map(toCatalogProduct),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortSpec.field) : null
+  });
+});
+
+// Ruta para exportar el catálogo y el stock en CSV (debe ir antes de /:id)
+router.get('/export.csv', authenticate, authorize('staff', 'admin'), async (req, res) => {
+  const csv = await exportCatalogCsv();
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="catalogo-${date}.csv"`
+  });
+  res.send(csv);
+});
+
+// Ruta para importar productos y stock desde CSV.
+// Por defecto solo devuelve el reporte de cambios (dry-run); con ?apply=true los aplica.
+router.post(
+  '/import',
+  authenticate,
+  authorize('admin'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  validate({ query: { apply: { type: 'boolean' } } }),
+  async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      throw new AppError('CSV_REQUIRED');
+    }
+
+    const { report, operations } = await planImport(req.body);
+    const apply = req.query.apply === 'true';
+
+    if (apply && report.errors.length > 0) {
+      throw new AppError('IMPORT_HAS_ERRORS', 400, { extra: { applied: false, ...report } });
+    }
+    if (apply) {
+      await applyImport(operations, req.userId);
+    }
+
+    res.json({ applied: apply, ...report });
+  }
+);
+
+// Producto no archivado indicado en la URL o 404
+async function findActiveProduct(id, session) {
+  const product = await Product.findOne({ id, archived: { $ne: true } }).session(session);
+  if (!product) {
+    throw new AppError('PRODUCT_NOT_FOUND', 404);
+  }
+  return product;
+}
+
+// Ruta para obtener un producto del catálogo
+router.get('/:id', async (req, res) => {
+  const product = (await findActiveProduct(req.params.id)).toObject();
+
+  const variants = await Stock.find({ productId: product.id }).lean();
+  const totalStock = variants.reduce((sum, variant) => sum + availableQuantity(variant), 0);
+
+  res.json(toCatalogProduct({ ...product, variants, totalStock }));
+});
+
+// Ruta para obtener el stock de un producto
+router.get('/:id/stock', async (req, res) => {
+  const product = await findActiveProduct(req.params.id);
+  res.json(await getProductStock(product.id));
+});
+
+// Ruta para actualizar el stock
+router.post('/:id/update-stock', authenticate, authorize('staff', 'admin'), validate({
+  body: {
+    size: { type: 'string' },
+    color: { type: 'string' },
+    quantity: { type: 'integer', required: true, min: 1 }
+  }
+}), async (req, res) => {
+  const { size, color, quantity } = req.body;
+  const product = await Product.findOne({ id: req.params.id });
+  if (!product) {
+    throw new AppError('PRODUCT_NOT_FOUND', 404);
+  }
+
+  const code = await decrementStock(product, { size, color, quantity }, undefined, {
+    type: 'correction',
+    userId: req.userId,
+    note: 'Descuento manual'
+  });
+  if (code) {
+    throw new AppError(code, code === 'VARIANT_REQUIRED' ? 400 : 409);
+  }
+
+  res.json({ success: true });
+});
+
+// Estado de un producto tal como se guarda en el registro de auditoría
+const auditSnapshot = (product, variants) => ({
+  name: product.name,
+  price: product.price,
+  image: product.image,
+  category: product.category,
+  productType: product.productType,
+  weight: product.weight,
+  archived: product.archived,
+  variants: formatStock(variants, { available: false })
+});
+
+// Ruta para crear un producto (solo administradores)
+router.post('/', authenticate, authorize('admin'), async (req, res) => {
+  const { errors, value } = validateProductPayload(req.body);
+  if (errors.length > 0) throw validationError(errors, 'INVALID_PRODUCT');
+
+  const { variants, ...fields } = value;
+  const product = await inTransaction(async (session) => {
+    if (await Product.exists({ id: fields.id }).session(session)) {
+      throw new AppError('PRODUCT_EXISTS', 409);
+    }
+
+    const [created] = await Product.create([fields], { session });
+    await replaceProductStock(created.id, variants, session, { type: 'product_edit', userId: req.userId });
+    await recordAudit({
+      userId: req.userId,
+      action: 'create',
+      entity: 'Product',
+      entityId: created.id,
+      after: auditSnapshot(created, variants),
+      session
+    });
+    return created;
+  });
+
+  res.status(201).json({ ...product.toObject(), stock: formatStock(variants) });
+});
+
+// Ruta para actualizar parcialmente un producto (solo administradores)
+router.patch('/:id', authenticate, authorize('admin'), async (req, res) => {
+  const { product, finalVariants } = await inTransaction(async (session) => {
+    const product = await findActiveProduct(req.params.id, session);
+
+    const { errors, value } = validateProductPayload(req.body, product);
+    if (errors.length > 0) throw validationError(errors, 'INVALID_PRODUCT');
+
+    const currentVariants = await Stock.find({ productId: product.id }).session(session).lean();
+    const before = auditSnapshot(product, currentVariants);
+
+    const { variants, ...fields } = value;
+    product.set(fields);
+    await product.save({ session });
+    if (variants) {
+      await replaceProductStock(product.id, variants, session, { type: 'product_edit', userId: req.userId });
+    }
+
+    const finalVariants = variants || currentVariants;
+    await recordAudit({
+      userId: req.userId,
+      action: 'update',
+      entity: 'Product',
+      entityId: product.id,
+      before,
+      after: auditSnapshot(product, finalVariants),
+      session
+    });
+    return { product, finalVariants };
+  });
+
+  res.json({ ...product.toObject(), stock: formatStock(finalVariants) });
+});
+
+// Ruta para archivar un producto: deja de mostrarse y venderse, pero se conserva para pedidos y reportes
+router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+  await inTransaction(async (session) => {
+    const product = await findActiveProduct(req.params.id, session);
+
+    const variants = await Stock.find({ productId: product.id }).session(session).lean();
+    const before = auditSnapshot(product, variants);
+
+    product.archived = true;
+    product.archivedAt = new Date();
+    await product.save({ session });
+
+    await recordAudit({
+      userId: req.userId,
+      action: 'archive',
+      entity: 'Product',
+      entityId: product.id,
+      before,
+      after: auditSnapshot(product, variants),
+      session
+    });
+  });
+
+  res.json({ success: true });
+});
+
+module.exports = router;
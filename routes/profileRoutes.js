@@ -0,0 +1,80 @@
+// routes/profileRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  PROFILE_SCHEMA,
+  ADDRESS_FIELDS,
+  ADDRESS_UPDATE_FIELDS,
+  toProfile,
+  updateProfile,
+  addAddress,
+  updateAddress,
+  removeAddress
+} = require('../services/profile');
+const { AppError } = require('../utils/errors');
+
+// Todas las rutas del perfil son del usuario autenticado
+router.use(authenticate);
+
+async function currentUser(req) {
+  const user = await User.findById(req.userId);
+  if (!user) {
+    throw new AppError('USER_NOT_FOUND', 404);
+  }
+  return user;
+}
+
+// Un id de dirección mal formado no puede estar en el perfil
+const checkAddressId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.addressId)) {
+    return next(new AppError('ADDRESS_NOT_FOUND', 404));
+  }
+  next();
+};
+
+// Ruta para ver el perfil con las direcciones guardadas
+router.get('/', async (req, res) => {
+  res.json(toProfile(await currentUser(req)));
+});
+
+// Ruta para actualizar nombre, documento y teléfono
+router.patch('/', validate({ body: PROFILE_SCHEMA }), async (req, res) => {
+  const user = await currentUser(req);
+  updateProfile(user, req.body);
+  await user.save();
+
+  res.json(toProfile(user));
+});
+
+// Ruta para guardar una dirección nueva
+router.post('/addresses', validate({ body: ADDRESS_FIELDS }), async (req, res) => {
+  const user = await currentUser(req);
+  const address = addAddress(user, req.body);
+  await user.save();
+
+  res.status(201).json({ address, addresses: user.addresses });
+});
+
+// Ruta para editar una dirección (o marcarla como predeterminada)
+router.patch('/addresses/:addressId', checkAddressId, validate({ body: ADDRESS_UPDATE_FIELDS }), async (req, res) => {
+  const user = await currentUser(req);
+  const address = updateAddress(user, req.params.addressId, req.body);
+  await user.save();
+
+  res.json({ address, addresses: user.addresses });
+});
+
+// Ruta para borrar una dirección
+router.delete('/addresses/:addressId', checkAddressId, async (req, res) => {
+  const user = await currentUser(req);
+  removeAddress(user, req.params.addressId);
+  await user.save();
+
+  res.json({ addresses: user.addresses });
+});
+
+module.exports = router;
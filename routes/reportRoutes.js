@@ -0,0 +1,88 @@
+// routes/reportRoutes.js
+// Reportes para administradores. Todos aceptan ?format=json|csv|pdf (por defecto json).
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+  parseRange,
+  formatDay,
+  salesOverTime,
+  topProducts,
+  salesByLocation,
+  salesSummary,
+  stockValuation
+} = require('../services/reports');
+const { reportToCsv, buildReportPdf } = require('../services/reportExport');
+
+const FORMATS = ['json', 'csv', 'pdf'];
+
+router.use(authenticate, authorize('admin'), validate({
+  query: {
+    format: { type: 'string', enum: FORMATS },
+    limit: { type: 'integer', min: 1 }
+  }
+}));
+
+const rangeLabel = ({ from, to }) =>
+  `Del ${formatDay(from)} al ${formatDay(new Date(to.getTime() - 1))}`;
+
+// Ejecuta el reporte y lo responde en el formato pedido
+const sendReport = (build) => async (req, res) => {
+  const format = req.query.format || 'json';
+  const { report, range } = await build(req.query);
+  const date = new Date().toISOString().slice(0, 10);
+
+  if (format === 'csv') {
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${report.name}-${date}.csv"`
+    });
+    return res.send(reportToCsv(report));
+  }
+  if (format === 'pdf') {
+    const pdf = await buildReportPdf(report, range && { subtitle: rangeLabel(range) });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${report.name}-${date}.pdf"`
+    });
+    return res.send(pdf);
+  }
+
+  res.json({
+    title: report.title,
+    ...(range && { from: range.from, to: range.to }),
+    rows: report.rows,
+    totals: report.totals
+  });
+};
+
+// Ingresos y pedidos por período: ?groupBy=day|week|month&from=AAAA-MM-DD&to=AAAA-MM-DD
+router.get('/sales', sendReport(async (query) => {
+  const range = parseRange(query);
+  return { range, report: await salesOverTime(range, query.groupBy) };
+}));
+
+// Pedidos, unidades, ingresos y ticket promedio del período
+router.get('/summary', sendReport(async (query) => {
+  const range = parseRange(query);
+  return { range, report: await salesSummary(range) };
+}));
+
+// Más vendidos: ?by=product|variant&limit=10
+router.get('/top-products', sendReport(async (query) => {
+  const range = parseRange(query);
+  const limit = parseInt(query.limit, 10) || undefined;
+  return { range, report: await topProducts(range, { by: query.by, limit }) };
+}));
+
+// Ventas según la dirección de envío: ?by=city|district
+router.get('/locations', sendReport(async (query) => {
+  const range = parseRange(query);
+  return { range, report: await salesByLocation(range, query.by) };
+}));
+
+// Valor del inventario actual
+router.get('/stock-valuation', sendReport(async () => ({ report: await stockValuation() })));
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// routes/shippingRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const ShippingZone = require('../models/ShippingZone');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { quoteForItems, validateZonePayload, DEFAULT_ZONE } = require('../services/shipping');
+const { AppError, validationError } = require('../utils/errors');
+
+// Ya existe otra zona para la misma ciudad y barrio
+const duplicateZone = (error) =>
+  (error.code === 11000 ? new AppError('ZONE_EXISTS', 409) : error);
+
+// Zona indicada en la URL o 404
+async function findZone(zoneId) {
+  const zone = mongoose.isValidObjectId(zoneId) && await ShippingZone.findById(zoneId);
+  if (!zone) {
+    throw new AppError('ZONE_NOT_FOUND', 404);
+  }
+  return zone;
+}
+
+const QUOTE_SCHEMA = {
+  address: {
+    type: 'object',
+    required: true,
+    allowUnknown: true,
+    properties: { city: { type: 'string', required: true, trim: true }, district: { type: 'string' } }
+  },
+  items: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    items: {
+      type: 'object',
+      required: true,
+      allowUnknown: true,
+      properties: {
+        id: { type: 'string', required: true, trim: true },
+        quantity: { type: 'integer', required: true, min: 1 }
+      }
+    }
+  }
+};
+
+// Cotización del envío para la dirección y los productos del checkout (pública, como el catálogo)
+router.post('/quote', validate({ body: QUOTE_SCHEMA }), async (req, res) => {
+  const { address, items } = req.body;
+  res.json(await quoteForItems(address, items));
+});
+
+// Administración de zonas: el personal las consulta, solo los administradores las modifican
+router.get('/zones', authenticate, authorize('staff', 'admin'), async (req, res) => {
+  const zones = await ShippingZone.find().sort({ cityKey: 1, districtKey: 1 }).lean();
+  res.json({ zones, defaultZone: DEFAULT_ZONE });
+});
+
+router.post('/zones', authenticate, authorize('admin'), async (req, res) => {
+  const { errors, value } = validateZonePayload(req.body);
+  if (errors.length > 0) throw validationError(errors, 'INVALID_ZONE');
+
+  try {
+    const zone = await ShippingZone.create(value);
+    res.status(201).json(zone);
+  } catch (error) {
+    throw duplicateZone(error);
+  }
+});
+
+router.patch('/zones/:zoneId', authenticate, authorize('admin'), async (req, res) => {
+  const zone = await findZone(req.params.zoneId);
+
+  const { errors, value } = validateZonePayload(req.body, zone);
+  if (errors.length > 0) throw validationError(errors, 'INVALID_ZONE');
+
+  const { freeShippingThreshold, ...fields } = value;
+  zone.set(fields);
+  if (freeShippingThreshold === null) zone.freeShippingThreshold = undefined;
+  else if (freeShippingThreshold !== undefined) zone.freeShippingThreshold = freeShippingThreshold;
+
+  try {
+    await zone.save();
+  } catch (error) {
+    throw duplicateZone(error);
+  }
+  res.json(zone);
+});
+
+router.delete('/zones/:zoneId', authenticate, authorize('admin'), async (req, res) => {
+  const zone = await findZone(req.params.zoneId);
+  await zone.deleteOne();
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -1,77 +1,207 @@
 // routes/stockRoutes.js
 const express = require('express');
 const router = express.Router();
+const Product = require('../models/Product');
 const Stock = require('../models/Stock');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { normalizeVariant, availableQuantity, decrementStock, adjustStock } = require('../services/stock');
+const { getMovements, lowStockThreshold } = require('../services/stockMovements');
+const { AppError, validationError } = require('../utils/errors');
+const { fieldError } = require('../utils/validation');
+const { inTransaction } = require('../utils/transaction');
 
-// Verificar stock
-router.post('/check-stock', async (req, res) => {
-  try {
-    const { items } = req.body;
-    const results = [];
+const ADJUSTMENT_REASONS = ['restock', 'return', 'correction', 'damage', 'loss'];
 
-    for (const item of items) {
-      const product = await Stock.findOne({
-        productId: item.id,
-        size: item.size,
-        color: item.color
-      });
+const ITEMS_SCHEMA = {
+  items: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    items: {
+      type: 'object',
+      required: true,
+      allowUnknown: true,
+      properties: {
+        id: { type: 'string', required: true, trim: true },
+        quantity: { type: 'integer', required: true, min: 1 },
+        size: { type: 'string' },
+        color: { type: 'string' }
+      }
+    }
+  }
+};
+const VARIANT_FIELDS = {
+  productId: { type: 'string', required: true, trim: true },
+  size: { type: 'string' },
+  color: { type: 'string' }
+};
 
-      results.push({
-        id: item.id,
-        size: item.size,
-        color: item.color,
-        available: product ? product.quantity : 0,
-        requested: item.quantity
-      });
+// Busca los productos de las líneas (ya validadas) y lanza 400 si alguno no existe o le falta la variante
+async function loadItemProducts(items) {
+  const ids = [...new Set(items.map(item => item.id))];
+  const products = new Map(
+    (await Product.find({ id: { $in: ids }, archived: { $ne: true } })).map(product => [product.id, product])
+  );
+
+  const details = [];
+  items.forEach((item, index) => {
+    const product = products.get(item.id);
+    if (!product) {
+      details.push(fieldError(`items[${index}].id`, 'UNKNOWN_PRODUCT', { id: item.id }));
+    } else if (!normalizeVariant(product.productType, item)) {
+      details.push(fieldError(`items[${index}].size`, 'VARIANT_REQUIRED'));
     }
+  });
+  if (details.length > 0) throw validationError(details);
+
+  return products;
+}
+
+// Busca el producto e identifica la variante; lanza 400 si no existe o falta la talla/color
+async function resolveVariant({ productId, size, color }) {
+  const product = await Product.findOne({ id: productId });
+  if (!product) {
+    throw validationError([fieldError('productId', 'UNKNOWN_PRODUCT', { id: productId })]);
+  }
+  const variant = normalizeVariant(product.productType, { size, color });
+  if (!variant) {
+    throw validationError([fieldError('size', 'VARIANT_REQUIRED')]);
+  }
+  return { product, variant };
+}
 
-    res.json({ success: true, results });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+// Verificar stock
+router.post('/check-stock', validate({ body: ITEMS_SCHEMA }), async (req, res) => {
+  const { items } = req.body;
+  const products = await loadItemProducts(items);
+
+  const results = [];
+
+  for (const item of items) {
+    const product = products.get(item.id);
+    const stock = await Stock.findOne({
+      productId: item.id,
+      ...normalizeVariant(product.productType, item)
+    });
+
+    results.push({
+      id: item.id,
+      size: item.size,
+      color: item.color,
+      available: stock ? availableQuantity(stock) : 0,
+      requested: item.quantity
+    });
   }
+
+  res.json({ success: true, results });
 });
 
 // Actualizar stock (transacción segura)
-router.post('/update-stock', async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    const { items } = req.body;
-    const updates = [];
-
-    for (const item of items) {
-      const result = await Stock.findOneAndUpdate(
-        {
-          productId: item.id,
-          size: item.size,
-          color: item.color,
-          quantity: { $gte: item.quantity }
-        },
-        { $inc: { quantity: -item.quantity } },
-        { new: true, session }
-      );
-
-      if (!result) {
-        throw new Error(`Stock insuficiente para ${item.id}-${item.size}-${item.color}`);
+router.post('/update-stock', authenticate, authorize('staff', 'admin'), validate({ body: ITEMS_SCHEMA }), async (req, res) => {
+  const { items } = req.body;
+  const products = await loadItemProducts(items);
+
+  const updates = await inTransaction(async (session) => {
+    const done = [];
+
+    for (const [index, item] of items.entries()) {
+      const product = products.get(item.id);
+      const code = await decrementStock(product, item, session, {
+        type: 'correction',
+        userId: req.userId,
+        note: 'Descuento manual'
+      });
+
+      if (code) {
+        throw new AppError('STOCK_UPDATE_REJECTED', 409, {
+          details: [{ ...fieldError(`items[${index}]`, code), id: item.id, size: item.size, color: item.color }]
+        });
       }
 
-      updates.push({
+      const result = await Stock.findOne({
+        productId: item.id,
+        ...normalizeVariant(product.productType, item)
+      }).session(session);
+
+      done.push({
         id: item.id,
         size: item.size,
         color: item.color,
         newStock: result.quantity
       });
     }
+    return done;
+  });
+
+  res.json({ success: true, updates });
+});
+
+// Reposición o ajuste manual de stock de una variante
+router.post('/adjust', authenticate, authorize('staff', 'admin'), validate({
+  body: {
+    ...VARIANT_FIELDS,
+    quantity: { type: 'integer', required: true, notZero: true },
+    reason: { type: 'string', required: true, enum: ADJUSTMENT_REASONS },
+    note: { type: 'string', maxLength: 500 }
+  }
+}), async (req, res) => {
+  const { productId, size, color, quantity, reason, note } = req.body;
+  const { product, variant } = await resolveVariant({ productId, size, color });
 
-    await session.commitTransaction();
-    res.json({ success: true, updates });
-  } catch (error) {
-    await session.abortTransaction();
-    res.status(400).json({ success: false, error: error.message });
-  } finally {
-    session.endSession();
+  const stock = await inTransaction(session =>
+    adjustStock(product, variant, quantity, session, { type: reason, note, userId: req.userId }));
+  if (!stock) {
+    throw new AppError('NEGATIVE_STOCK', 409);
   }
+
+  res.json({
+    success: true,
+    adjustment: { id: productId, size, color, quantity, reason, newStock: stock.quantity }
+  });
+});
+
+// Historial de movimientos de una variante (más recientes primero)
+router.get('/movements', authenticate, authorize('staff', 'admin'), validate({
+  query: { ...VARIANT_FIELDS, limit: { type: 'integer', min: 1 }, before: { type: 'date' } }
+}), async (req, res) => {
+  const { productId, size, color, limit, before } = req.query;
+  const { variant } = await resolveVariant({ productId, size, color });
+
+  const stock = await Stock.findOne({ productId, ...variant }).lean();
+  const movements = await getMovements(
+    { productId, ...variant },
+    { limit: parseInt(limit, 10) || undefined, before: before ? new Date(before) : undefined }
+  );
+
+  res.json({
+    success: true,
+    variant: { productId, ...variant },
+    current: stock
+      ? { quantity: stock.quantity, reserved: stock.reserved, lowStockThreshold: lowStockThreshold(stock) }
+      : null,
+    movements,
+    nextBefore: movements.length > 0 ? movements[movements.length - 1].createdAt : null
+  });
+});
+
+// Mínimo de stock de una variante para el aviso al personal (null vuelve al valor por defecto)
+router.put('/threshold', authenticate, authorize('staff', 'admin'), validate({
+  body: { ...VARIANT_FIELDS, threshold: { type: 'integer', required: true, nullable: true, min: 0 } }
+}), async (req, res) => {
+  const { productId, size, color, threshold } = req.body;
+  const { variant } = await resolveVariant({ productId, size, color });
+
+  const stock = await Stock.findOneAndUpdate(
+    { productId, ...variant },
+    threshold === null ? { $unset: { lowStockThreshold: '' } } : { $set: { lowStockThreshold: threshold } },
+    { new: true }
+  );
+  if (!stock) {
+    throw new AppError('VARIANT_NOT_FOUND', 404);
+  }
+
+  res.json({ success: true, productId, ...variant, lowStockThreshold: lowStockThreshold(stock) });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,44 @@
+// scripts/create-admin.js
+// Promueve a administrador a un usuario ya registrado (útil para crear el primer admin).
+//
+// Uso: node scripts/create-admin.js <email> [--role=staff]
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+async function main() {
+  const email = process.argv[2];
+  const roleArg = process.argv.find(arg => arg.startsWith('--role='));
+  const role = roleArg ? roleArg.split('=')[1] : 'admin';
+
+  if (!email || email.startsWith('--')) {
+    console.error('Uso: node scripts/create-admin.js <email> [--role=staff]');
+    process.exitCode = 1;
+    return;
+  }
+  if (!User.schema.path('role').enumValues.includes(role)) {
+    console.error(`❌ Rol inválido: ${role}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/mitienda');
+
+  const user = await User.findOneAndUpdate({ email }, { role }, { new: true });
+  if (!user) {
+    console.error(`❌ No existe un usuario con el correo ${email}; regístralo primero`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`✅ ${user.email} ahora tiene el rol ${user.role}`);
+  console.log('   Debe volver a iniciar sesión para que el nuevo rol se refleje en su token.');
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Error asignando el rol:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,30 @@
+// scripts/export-products.js
+// Exporta el catálogo y el stock actual en el mismo CSV que acepta import-products.js.
+//
+// Uso: node scripts/export-products.js [archivo.csv]   (sin archivo escribe en la salida estándar)
+require('dotenv').config();
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { exportCatalogCsv } = require('../services/catalogImport');
+
+async function main() {
+  const file = process.argv[2];
+
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/mitienda');
+  const csv = await exportCatalogCsv();
+
+  if (file) {
+    fs.writeFileSync(file, csv);
+    console.log(`✅ Catálogo exportado a ${file}`);
+  } else {
+    process.stdout.write(csv);
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Error exportando productos:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,63 @@
+// scripts/import-products.js
+// Importa productos y stock desde un CSV (columnas: id, name, price, image, category, productType, size, color, quantity).
+// Sin --apply solo muestra el reporte de cambios.
+//
+// Uso: node scripts/import-products.js <archivo.csv> [--apply]
+require('dotenv').config();
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { planImport, applyImport } = require('../services/catalogImport');
+
+const ACTION_LABELS = { create: '➕ crear', update: '✏️  actualizar', unchanged: '   sin cambios' };
+
+async function main() {
+  const file = process.argv[2];
+  const apply = process.argv.includes('--apply');
+
+  if (!file || file.startsWith('--')) {
+    console.error('Uso: node scripts/import-products.js <archivo.csv> [--apply]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/mitienda');
+
+  const { report, operations } = await planImport(text);
+
+  for (const product of report.products) {
+    console.log(`${ACTION_LABELS[product.action]} ${product.id}`);
+    for (const [field, { from, to }] of Object.entries(product.changes)) {
+      console.log(`      ${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`);
+    }
+  }
+
+  const { summary } = report;
+  console.log(`\n📦 Crear: ${summary.create} · Actualizar: ${summary.update} · Sin cambios: ${summary.unchanged}`);
+
+  if (report.errors.length > 0) {
+    console.warn(`⚠️  ${report.errors.length} errores:`);
+    for (const error of report.errors) {
+      console.warn(`  - línea ${error.line}${error.id ? ` (${error.id})` : ''}${error.field ? ` ${error.field}` : ''}: ${error.message}`);
+    }
+    process.exitCode = 1;
+    if (apply) console.warn('No se aplicó ningún cambio.');
+    return;
+  }
+
+  if (!apply) {
+    console.log('Dry-run: ejecuta de nuevo con --apply para guardar los cambios.');
+    return;
+  }
+
+  await applyImport(operations, null);
+  console.log(`✅ Importación aplicada (${operations.length} productos)`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Error importando productos:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,88 @@
+// scripts/migrate-stock.js
+// Migra el campo legado Product.stock a documentos de la colección Stock.
+// Se puede ejecutar varias veces: las variantes que ya existen en Stock no se tocan, porque su
+// cantidad es la viva (con ventas y ajustes posteriores) y no la del campo legado.
+//
+// Uso: node scripts/migrate-stock.js [--dry-run] [--unset]
+//   --dry-run  solo muestra lo que se haría, sin escribir nada
+//   --unset    borra Product.stock de los productos migrados sin problemas
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Stock = require('../models/Stock');
+const { legacyStockToVariants } = require('../services/stock');
+
+async function migrate({ dryRun, unset }) {
+  // `stock` ya no forma parte del esquema, así que se lee directamente de la colección
+  const cursor = Product.collection.find(
+    { stock: { $exists: true } },
+    { projection: { id: 1, productType: 1, stock: 1 } }
+  );
+
+  const summary = { products: 0, variants: 0, existing: 0, unset: 0, withProblems: [] };
+
+  for await (const doc of cursor) {
+    const { variants, problems } = legacyStockToVariants(doc.productType, doc.stock);
+    summary.products++;
+
+    if (problems.length > 0) {
+      summary.withProblems.push({ id: doc.id, productType: doc.productType, problems });
+    }
+
+    if (dryRun) {
+      console.log(`[dry-run] ${doc.id}: ${variants.length} variantes`, variants);
+      summary.variants += variants.length;
+      continue;
+    }
+
+    if (variants.length > 0) {
+      const result = await Stock.bulkWrite(variants.map(({ size, color, quantity }) => ({
+        updateOne: {
+          filter: { productId: doc.id, size, color },
+          update: { $setOnInsert: { quantity } },
+          upsert: true
+        }
+      })));
+      summary.variants += result.upsertedCount;
+      summary.existing += variants.length - result.upsertedCount;
+    }
+
+    if (unset && problems.length === 0) {
+      await Product.collection.updateOne({ _id: doc._id }, { $unset: { stock: '' } });
+      summary.unset++;
+    }
+  }
+
+  return summary;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const unset = process.argv.includes('--unset');
+
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/mitienda');
+
+  const summary = await migrate({ dryRun, unset });
+
+  console.log(`📦 Productos procesados: ${summary.products}`);
+  console.log(`📦 Variantes ${dryRun ? 'detectadas' : 'escritas'}: ${summary.variants}`);
+  if (!dryRun) console.log(`⏭️  Variantes que ya estaban en Stock (sin cambios): ${summary.existing}`);
+  if (unset) console.log(`🧹 Productos sin stock legado: ${summary.unset}`);
+
+  if (summary.withProblems.length > 0) {
+    console.warn(`⚠️  ${summary.withProblems.length} productos con stock que no se pudo interpretar:`);
+    for (const { id, productType, problems } of summary.withProblems) {
+      console.warn(`  - ${id} (${productType})`);
+      problems.forEach(problem => console.warn(`      ${problem}`));
+    }
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Error migrando el stock:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
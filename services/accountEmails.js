@@ -0,0 +1,80 @@
+// services/accountEmails.js
+// Correos de la cuenta, enviados a través de la bandeja de salida. Las rutas los encolan sin esperar:
+// así la respuesta tarda lo mismo (y no falla por el correo) exista o no la cuenta.
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { registerEmailType, enqueueEmail } = require('./outbox');
+const { hashToken } = require('./tokens');
+
+// URL del frontend usada en los enlaces enviados por correo
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const RESET_TTL_MS = 60 * 60 * 1000;
+// Vigencia del enlace de verificación del correo
+const VERIFICATION_TTL = '24h';
+const sender = () => `"Soporte de la App" <${process.env.EMAIL_USER}>`;
+
+async function loadUser(userId) {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error(`Usuario no encontrado: ${userId}`);
+  }
+  return user;
+}
+
+// Enlace firmado para verificar el correo. El token lleva el correo: si cambia, el enlace deja de servir
+registerEmailType('email-verification', async ({ userId }) => {
+  const user = await loadUser(userId);
+  const token = jwt.sign(
+    { userId: user._id, email: user.email },
+    process.env.EMAIL_VERIFICATION_SECRET,
+    { expiresIn: VERIFICATION_TTL }
+  );
+  const verifyLink = `${FRONTEND_URL}/verify-email.html?token=${token}`;
+
+  return {
+    from: sender(),
+    to: user.email,
+    subject: 'Confirma tu correo',
+    html: `
+      <h3>¡Bienvenido!</h3>
+      <p>Para activar tu cuenta confirma tu correo haciendo clic en el siguiente enlace:</p>
+      <a href="${verifyLink}" target="_blank">Confirmar correo</a>
+      <p>Este enlace expirará en 24 horas.</p>
+    `
+  };
+});
+
+// El enlace se firma al enviar el correo, así en la bandeja de salida no queda nada que sirva para
+// restablecer la contraseña. Solo se guarda el hash: quien lea la base de datos no puede usar el enlace.
+registerEmailType('password-reset', async ({ userId }) => {
+  const user = await loadUser(userId);
+  const resetToken = jwt.sign({ userId: user._id }, process.env.RESET_SECRET, { expiresIn: '1h' });
+
+  user.resetPasswordToken = hashToken(resetToken);
+  user.resetPasswordExpires = Date.now() + RESET_TTL_MS;
+  await user.save();
+
+  const resetLink = `${FRONTEND_URL}/reset-password.html?token=${resetToken}`;
+  return {
+    from: sender(),
+    to: user.email,
+    subject: 'Restablece tu contraseña',
+    html: `
+      <h3>Hola</h3>
+      <p>Has solicitado restablecer tu contraseña. Haz clic en el siguiente enlace para continuar:</p>
+      <a href="${resetLink}" target="_blank">Restablecer contraseña</a>
+      <p>Este enlace expirará en 1 hora.</p>
+    `
+  };
+});
+
+// Encola sin devolver la promesa: los errores solo se registran
+const queue = (type, user) => {
+  enqueueEmail(type, { userId: String(user._id) })
+    .catch(error => console.error(`Error encolando el correo ${type}:`, error));
+};
+
+const queueVerificationEmail = (user) => queue('email-verification', user);
+const queuePasswordReset = (user) => queue('password-reset', user);
+
+module.exports = { queueVerificationEmail, queuePasswordReset };
@@ -0,0 +1,27 @@
+// services/audit.js
+const AuditLog = require('../models/AuditLog');
+const { isEqual } = require('../utils/compare');
+
+// Diferencias campo a campo entre dos versiones: { campo: { from, to } }
+function diff(before = {}, after = {}) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (!isEqual(before[field], after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  }
+  return changes;
+}
+
+async function recordAudit({ userId, action, entity, entityId, before, after, session }) {
+  await AuditLog.create([{
+    userId,
+    action,
+    entity,
+    entityId,
+    changes: diff(before, after)
+  }], { session });
+}
+
+module.exports = { recordAudit };
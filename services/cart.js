@@ -0,0 +1,130 @@
+// services/cart.js
+// Carrito persistente por usuario, validado contra el stock disponible
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const Stock = require('../models/Stock');
+const Reservation = require('../models/Reservation');
+const { normalizeVariant, availableQuantity } = require('./stock');
+const { reserveLines } = require('./reservations');
+const { AppError } = require('../utils/errors');
+
+const sameVariant = (a, b) => a.productId === b.productId && a.size === b.size && a.color === b.color;
+
+async function findOrCreateCart(userId) {
+  return (await Cart.findOne({ userId })) || new Cart({ userId, items: [] });
+}
+
+// Unidades que el usuario puede llevar de una variante: lo disponible más lo que ya tiene reservado
+async function purchasableQuantity(userId, variant) {
+  const [stock, reservations] = await Promise.all([
+    Stock.findOne(variant).lean(),
+    Reservation.find({ userId, status: 'active', ...variant }).lean()
+  ]);
+  if (!stock) return 0;
+  const ownReserved = reservations.reduce((sum, reservation) => sum + reservation.quantity, 0);
+  return availableQuantity(stock) + ownReserved;
+}
+
+async function resolveVariant({ id, size, color }) {
+  const product = await Product.findOne({ id, archived: { $ne: true } });
+  if (!product) {
+    throw new AppError('PRODUCT_NOT_FOUND', 404);
+  }
+  const variant = normalizeVariant(product.productType, { size, color });
+  if (!variant) {
+    throw new AppError('VARIANT_REQUIRED');
+  }
+  return { product, variant: { productId: product.id, ...variant } };
+}
+
+async function ensurePurchasable(userId, variant, quantity) {
+  if (quantity > await purchasableQuantity(userId, variant)) {
+    throw new AppError('OUT_OF_STOCK', 409);
+  }
+}
+
+// Carrito con los datos actuales de cada producto y cuántas unidades se pueden comprar
+async function getCart(userId) {
+  const cart = await findOrCreateCart(userId);
+  const ids = [...new Set(cart.items.map(item => item.productId))];
+  const products = new Map(
+    (await Product.find({ id: { $in: ids } }).lean()).map(product => [product.id, product])
+  );
+
+  const items = await Promise.all(cart.items.map(async item => {
+    const product = products.get(item.productId);
+    const variant = { productId: item.productId, size: item.size, color: item.color };
+    const available = product && !product.archived ? await purchasableQuantity(userId, variant) : 0;
+    return {
+      _id: item._id,
+      productId: item.productId,
+      size: item.size,
+      color: item.color,
+      quantity: item.quantity,
+      name: product?.name,
+      price: product?.price,
+      image: product?.image,
+      available,
+      inStock: available >= item.quantity
+    };
+  }));
+
+  const subtotal = items.reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0);
+  return { items, subtotal };
+}
+
+async function addItem(userId, { id, size, color, quantity }) {
+  const { variant } = await resolveVariant({ id, size, color });
+  const cart = await findOrCreateCart(userId);
+
+  const existing = cart.items.find(item => sameVariant(item, variant));
+  const newQuantity = (existing?.quantity || 0) + quantity;
+  await ensurePurchasable(userId, variant, newQuantity);
+
+  if (existing) {
+    existing.quantity = newQuantity;
+  } else {
+    cart.items.push({ ...variant, quantity });
+  }
+  await cart.save();
+}
+
+async function updateItem(userId, itemId, quantity) {
+  const cart = await Cart.findOne({ userId });
+  const item = cart?.items.id(itemId);
+  if (!item) {
+    throw new AppError('CART_ITEM_NOT_FOUND', 404);
+  }
+
+  await ensurePurchasable(userId, { productId: item.productId, size: item.size, color: item.color }, quantity);
+  item.quantity = quantity;
+  await cart.save();
+}
+
+async function removeItem(userId, itemId) {
+  const result = await Cart.updateOne({ userId }, { $pull: { items: { _id: itemId } } });
+  if (result.modifiedCount === 0) {
+    throw new AppError('CART_ITEM_NOT_FOUND', 404);
+  }
+}
+
+async function clearCart(userId, session) {
+  await Cart.updateOne({ userId }, { $set: { items: [] } }, { session });
+}
+
+// Aparta por unos minutos todas las unidades del carrito (p. ej. al entrar al pago)
+async function reserveCart(userId, minutes) {
+  const cart = await Cart.findOne({ userId });
+  if (!cart || cart.items.length === 0) {
+    throw new AppError('CART_EMPTY');
+  }
+
+  return reserveLines(userId, cart.items.map(item => ({
+    productId: item.productId,
+    size: item.size,
+    color: item.color,
+    quantity: item.quantity
+  })), minutes);
+}
+
+module.exports = { getCart, addItem, updateItem, removeItem, clearCart, reserveCart };
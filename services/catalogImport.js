@@ -0,0 +1,210 @@
+// services/catalogImport.js
+// Importación y exportación masiva del catálogo (productos y stock por variante) en CSV
+const Product = require('../models/Product');
+const Stock = require('../models/Stock');
+const { parseCsv, stringifyCsv } = require('../utils/csv');
+const { isEqual } = require('../utils/compare');
+const { inTransaction } = require('../utils/transaction');
+const { formatStock, replaceProductStock } = require('./stock');
+const { validateProductPayload } = require('./productValidation');
+const { recordAudit } = require('./audit');
+
+// Una fila por variante; los datos del producto se repiten en cada fila
+const CATALOG_COLUMNS = ['id', 'name', 'price', 'image', 'category', 'productType', 'size', 'color', 'quantity'];
+const REQUIRED_COLUMNS = ['id', 'name', 'price', 'category', 'productType', 'quantity'];
+const PRODUCT_FIELDS = ['name', 'price', 'image', 'category', 'productType'];
+
+const sortKeys = object => Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+
+const pick = (source, fields) =>
+  Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+
+// Agrupa las filas por id de producto y arma el cuerpo que valida productValidation
+function groupRows(records, errors) {
+  const products = new Map();
+
+  for (const record of records) {
+    if (!record.id) {
+      errors.push({ line: record.line, field: 'id', message: 'Falta el id del producto' });
+      continue;
+    }
+
+    const fields = {
+      name: record.name,
+      price: record.price === '' ? undefined : Number(record.price),
+      image: record.image || undefined,
+      category: record.category,
+      productType: record.productType
+    };
+
+    let entry = products.get(record.id);
+    if (!entry) {
+      entry = { id: record.id, fields, variants: [], lines: [] };
+      products.set(record.id, entry);
+    } else {
+      for (const field of PRODUCT_FIELDS) {
+        if (fields[field] !== undefined && fields[field] !== '' && !isEqual(fields[field], entry.fields[field])) {
+          errors.push({ line: record.line, id: record.id, field, message: 'No coincide con la primera fila del producto' });
+        }
+      }
+    }
+
+    const variant = { quantity: record.quantity === '' ? undefined : Number(record.quantity) };
+    if (record.size) variant.size = record.size;
+    if (record.color) variant.color = record.color;
+    entry.variants.push(variant);
+    entry.lines.push(record.line);
+  }
+
+  return products;
+}
+
+/**
+ * Compara el CSV con el catálogo actual sin escribir nada.
+ * Devuelve el reporte (qué se crearía, actualizaría o queda igual, y los errores por línea)
+ * y las operaciones listas para `applyImport`.
+ */
+async function planImport(text) {
+  const errors = [];
+  const records = parseCsv(text);
+
+  const columns = records.length > 0 ? Object.keys(records[0]) : [];
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (records.length === 0 || missing.length > 0) {
+    errors.push({
+      line: 1,
+      message: records.length === 0
+        ? 'El archivo no tiene filas'
+        : `Faltan columnas: ${missing.join(', ')}`
+    });
+    return { report: { summary: { create: 0, update: 0, unchanged: 0, errors: errors.length }, products: [], errors }, operations: [] };
+  }
+
+  const grouped = groupRows(records, errors);
+  const ids = [...grouped.keys()];
+
+  const [existingProducts, existingStock] = await Promise.all([
+    Product.find({ id: { $in: ids } }),
+    Stock.find({ productId: { $in: ids } }).lean()
+  ]);
+  const productsById = new Map(existingProducts.map(product => [product.id, product]));
+  const stockById = new Map();
+  for (const stock of existingStock) {
+    if (!stockById.has(stock.productId)) stockById.set(stock.productId, []);
+    stockById.get(stock.productId).push(stock);
+  }
+
+  const products = [];
+  const operations = [];
+
+  for (const entry of grouped.values()) {
+    const existing = productsById.get(entry.id);
+    if (existing?.archived) {
+      errors.push({ line: entry.lines[0], id: entry.id, message: 'El producto está archivado' });
+      continue;
+    }
+
+    const body = { variants: entry.variants };
+    for (const field of PRODUCT_FIELDS) {
+      if (entry.fields[field] !== undefined) body[field] = entry.fields[field];
+    }
+    if (!existing) body.id = entry.id;
+
+    const { errors: validationErrors, value } = validateProductPayload(body, existing);
+    if (validationErrors.length > 0) {
+      validationErrors.forEach(error => errors.push({ line: entry.lines[0], id: entry.id, ...error }));
+      continue;
+    }
+
+    const { variants, ...fields } = value;
+    const beforeStock = formatStock(stockById.get(entry.id) || [], { available: false });
+    const afterStock = formatStock(variants, { available: false });
+
+    const changes = {};
+    for (const [field, newValue] of Object.entries(fields)) {
+      if (field !== 'id' && !isEqual(existing?.[field], newValue)) {
+        changes[field] = { from: existing?.[field], to: newValue };
+      }
+    }
+    if (!isEqual(sortKeys(beforeStock), sortKeys(afterStock))) {
+      changes.stock = { from: beforeStock, to: afterStock };
+    }
+
+    const action = !existing ? 'create' : Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+    products.push({ id: entry.id, action, changes });
+
+    if (action !== 'unchanged') {
+      const before = existing && { ...pick(existing, PRODUCT_FIELDS), stock: beforeStock };
+      const after = { ...before, ...pick(fields, PRODUCT_FIELDS), stock: afterStock };
+      operations.push({ action, id: entry.id, fields, variants, before, after });
+    }
+  }
+
+  const count = action => products.filter(product => product.action === action).length;
+  return {
+    report: {
+      summary: { create: count('create'), update: count('update'), unchanged: count('unchanged'), errors: errors.length },
+      products,
+      errors
+    },
+    operations
+  };
+}
+
+// Aplica en bloque las operaciones de un plan sin errores, todo en una transacción
+async function applyImport(operations, userId) {
+  if (operations.length === 0) return;
+
+  await inTransaction(async (session) => {
+    await Product.bulkWrite(operations.map(({ action, id, fields }) => (
+      action === 'create'
+        ? { insertOne: { document: { id, ...fields } } }
+        : { updateOne: { filter: { id }, update: { $set: fields } } }
+    )), { session });
+
+    for (const { id, variants } of operations) {
+      await replaceProductStock(id, variants, session, { type: 'import', userId });
+    }
+
+    for (const { action, id, before, after } of operations) {
+      await recordAudit({ userId, action, entity: 'Product', entityId: id, before, after, session });
+    }
+  });
+}
+
+// Catálogo actual (sin archivados) en el mismo formato que acepta la importación
+async function exportCatalogCsv() {
+  const [products, stocks] = await Promise.all([
+    Product.find({ archived: { $ne: true } }).sort({ id: 1 }).lean(),
+    Stock.find().sort({ productId: 1, size: 1, color: 1 }).lean()
+  ]);
+
+  const stockById = new Map();
+  for (const stock of stocks) {
+    if (!stockById.has(stock.productId)) stockById.set(stock.productId, []);
+    stockById.get(stock.productId).push(stock);
+  }
+
+  const rows = [];
+  for (const product of products) {
+    // Sin filas de stock se exporta con 0 unidades: la importación rechaza una cantidad vacía
+    const variants = stockById.get(product.id) || [{ size: '', color: '', quantity: 0 }];
+    for (const variant of variants) {
+      rows.push({
+        id: product.id,
+        name: product.name,
+        price: product.price,
+        image: product.image,
+        category: product.category,
+        productType: product.productType,
+        size: variant.size,
+        color: variant.color,
+        quantity: variant.quantity
+      });
+    }
+  }
+
+  return stringifyCsv(rows, CATALOG_COLUMNS);
+}
+
+module.exports = { planImport, applyImport, exportCatalogCsv, CATALOG_COLUMNS };
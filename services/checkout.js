@@ -0,0 +1,185 @@
+// services/checkout.js
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { decrementStock, normalizeVariant } = require('./stock');
+const { queueOrderConfirmation } = require('./orderEmails');
+const { convertUserReservations } = require('./reservations');
+const { clearCart } = require('./cart');
+const { quoteShipping } = require('./shipping');
+const { evaluateCoupon, redeemCoupon } = require('./coupons');
+const { AppError } = require('../utils/errors');
+const { inTransaction } = require('../utils/transaction');
+
+const TEXT = { type: 'string', required: true, trim: true, maxLength: 200 };
+
+// Dirección de entrega de un pedido (también la de las direcciones guardadas en el perfil)
+const ADDRESS_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: { street: TEXT, neighborhood: TEXT, district: TEXT, city: TEXT }
+};
+
+// Datos del cliente que acompañan a un pedido (ver middleware/validate.js)
+const CUSTOMER_SCHEMA = {
+  type: 'object',
+  required: true,
+  properties: {
+    name: TEXT,
+    email: { ...TEXT, format: 'email' },
+    id: TEXT,
+    phone: TEXT,
+    address: ADDRESS_SCHEMA
+  }
+};
+
+// Topes por pedido: un pedido sin pagar aparta su stock, así que uno solo (p. ej. de un invitado)
+// no debe poder llevarse todas las unidades de un producto
+const MAX_LINE_QUANTITY = 10;
+const MAX_ORDER_UNITS = 30;
+
+// Línea de un pedido tal como la manda el cliente (checkout y ruta heredada de pedidos)
+const ORDER_ITEMS_SCHEMA = {
+  type: 'array',
+  required: true,
+  minItems: 1,
+  maxItems: MAX_ORDER_UNITS,
+  items: {
+    type: 'object',
+    required: true,
+    allowUnknown: true,
+    properties: {
+      id: { type: 'string', required: true, trim: true },
+      quantity: { type: 'integer', required: true, min: 1, max: MAX_LINE_QUANTITY },
+      size: { type: 'string' },
+      color: { type: 'string' }
+    }
+  }
+};
+
+const generateOrderId = () =>
+  `ORD-${Date.now()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+/**
+ * Crea una orden a partir de los productos guardados en la base de datos.
+ * Precios, envío y totales se calculan aquí (nunca se confía en los del cliente) y el stock
+ * de todas las líneas se descuenta en la misma transacción que guarda la orden.
+ */
+async function placeOrder({ userId, customer, items, couponCode }) {
+  const units = items.reduce((sum, item) => sum + item.quantity, 0);
+  if (units > MAX_ORDER_UNITS) {
+    throw new AppError('ORDER_TOO_LARGE', 400, { params: { max: MAX_ORDER_UNITS } });
+  }
+
+  const orderId = generateOrderId();
+  // Se reintenta si choca con otro checkout sobre las mismas variantes: cada intento arma sus líneas desde cero
+  const order = await inTransaction(async (session) => {
+    const products = new Map();
+    const lines = [];
+    const problems = [];
+
+    // Lo que el cliente tenía reservado vuelve a estar disponible para él justo antes de descontarlo
+    if (userId) {
+      await convertUserReservations(userId, session);
+    }
+
+    for (const [index, item] of items.entries()) {
+      let product = products.get(item.id);
+      if (!product) {
+        product = await Product.findOne({ id: item.id, archived: { $ne: true } }).session(session);
+        if (product) products.set(item.id, product);
+      }
+
+      if (!product) {
+        problems.push({ index, id: item.id, code: 'PRODUCT_NOT_FOUND' });
+        continue;
+      }
+
+      const error = await decrementStock(product, item, session, { type: 'sale', reference: orderId, userId });
+      if (error) {
+        problems.push({ index, id: item.id, size: item.size, color: item.color, code: error });
+        continue;
+      }
+
+      lines.push({
+        productId: product.id,
+        name: product.name,
+        price: product.price,
+        quantity: item.quantity,
+        // La misma variante que se descontó ("m" en guantes queda "M"), para poder devolverla
+        ...normalizeVariant(product.productType, item),
+        image: product.image,
+        category: product.category,
+        productType: product.productType
+      });
+    }
+
+    if (problems.length > 0) {
+      // Alguna línea del pedido no se pudo atender: los problemas van en `details`
+      throw new AppError('CHECKOUT_FAILED', 409, { details: problems });
+    }
+
+    const { subtotal, shipping } = await quoteShipping(customer.address, lines.map(line => ({
+      price: line.price,
+      quantity: line.quantity,
+      weight: products.get(line.productId).weight
+    })));
+
+    // El cupón se evalúa con los precios de la base de datos dentro de la misma transacción
+    const coupon = couponCode
+      ? await evaluateCoupon(couponCode, { userId, lines, session })
+      : null;
+    const discount = coupon ? coupon.amount : 0;
+
+    const order = new Order({
+      orderId,
+      userId,
+      customer: {
+        name: customer.name,
+        email: customer.email,
+        idNumber: customer.id,
+        phone: customer.phone,
+        address: {
+          street: customer.address.street,
+          neighborhood: customer.address.neighborhood,
+          district: customer.address.district,
+          city: customer.address.city
+        }
+      },
+      items: lines,
+      subtotal,
+      ...(coupon && {
+        discount: { code: coupon.coupon.code, description: coupon.coupon.description, amount: discount }
+      }),
+      shipping,
+      total: subtotal - discount + shipping
+    });
+
+    await order.save({ session });
+    if (coupon) {
+      await redeemCoupon(coupon.coupon, { userId, orderId: order.orderId, amount: discount }, session);
+    }
+    if (userId) {
+      await clearCart(userId, session);
+    }
+    return order;
+  });
+
+  // Si el correo no se puede encolar el pedido sigue siendo válido
+  try {
+    await queueOrderConfirmation(order);
+  } catch (error) {
+    console.error(`Error encolando la confirmación del pedido ${order.orderId}:`, error);
+  }
+
+  return order;
+}
+
+module.exports = {
+  placeOrder,
+  CUSTOMER_SCHEMA,
+  ADDRESS_SCHEMA,
+  ORDER_ITEMS_SCHEMA,
+  MAX_LINE_QUANTITY,
+  MAX_ORDER_UNITS
+};
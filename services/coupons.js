@@ -0,0 +1,199 @@
+// services/coupons.js
+// Validación y aplicación de cupones de descuento sobre las líneas de un pedido
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Product = require('../models/Product');
+const { PRODUCT_TYPES } = require('./productValidation');
+const { AppError } = require('../utils/errors');
+const { validateSchema, optionalFields, fieldError } = require('../utils/validation');
+
+const COUPON_TYPES = ['percentage', 'fixed'];
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'minSubtotal', 'categories', 'productTypes',
+  'maxUses', 'maxUsesPerUser', 'startsAt', 'endsAt', 'active'
+];
+// Campos que se pueden quitar enviando null
+const OPTIONAL_FIELDS = ['maxUses', 'maxUsesPerUser', 'startsAt', 'endsAt'];
+
+class CouponError extends AppError {
+  constructor(code, status = 400, options) {
+    super(code, status, options);
+    this.name = 'CouponError';
+  }
+}
+
+const normalizeCode = code => String(code ?? '').trim().toUpperCase();
+
+// Una línea entra en el descuento si cumple las restricciones de categoría y tipo que tenga el cupón
+const lineQualifies = (coupon, line) =>
+  (coupon.categories.length === 0 || coupon.categories.includes(line.category))
+  && (coupon.productTypes.length === 0 || coupon.productTypes.includes(line.productType));
+
+/**
+ * Calcula el descuento de un cupón para unas líneas valoradas
+ * ([{ price, quantity, category, productType }]). Lanza CouponError si el cupón no aplica.
+ */
+async function evaluateCoupon(code, { userId, lines, session }) {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) }).session(session);
+  const now = new Date();
+
+  if (!coupon || !coupon.active) {
+    throw new CouponError('COUPON_INVALID', 404);
+  }
+  if ((coupon.startsAt && coupon.startsAt > now) || (coupon.endsAt && coupon.endsAt < now)) {
+    throw new CouponError('COUPON_NOT_ACTIVE');
+  }
+  if (coupon.maxUses && coupon.usedCount >= coupon.maxUses) {
+    throw new CouponError('COUPON_EXHAUSTED');
+  }
+  if (coupon.maxUsesPerUser) {
+    if (!userId) {
+      throw new CouponError('COUPON_LOGIN_REQUIRED', 401);
+    }
+    const used = await CouponRedemption.countDocuments({ couponId: coupon._id, userId }).session(session);
+    if (used >= coupon.maxUsesPerUser) {
+      throw new CouponError('COUPON_USER_LIMIT');
+    }
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (subtotal < coupon.minSubtotal) {
+    throw new CouponError('COUPON_MIN_SUBTOTAL', 400, { params: { min: coupon.minSubtotal } });
+  }
+
+  const eligibleSubtotal = lines
+    .filter(line => lineQualifies(coupon, line))
+    .reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (eligibleSubtotal === 0) {
+    throw new CouponError('COUPON_NOT_APPLICABLE');
+  }
+
+  const amount = coupon.type === 'percentage'
+    ? Math.round(eligibleSubtotal * coupon.value / 100)
+    : Math.min(coupon.value, eligibleSubtotal);
+
+  return { coupon, subtotal, eligibleSubtotal, amount };
+}
+
+// Validación para el frontend a partir de ids de producto y cantidades
+async function checkCoupon(code, { userId, items }) {
+  const ids = [...new Set(items.map(item => item.id))];
+  const products = new Map(
+    (await Product.find({ id: { $in: ids }, archived: { $ne: true } }).lean())
+      .map(product => [product.id, product])
+  );
+
+  const missing = ids.filter(id => !products.has(id));
+  if (missing.length > 0) {
+    throw new CouponError('PRODUCTS_NOT_FOUND', 400, { params: { ids: missing.join(', ') } });
+  }
+
+  const { coupon, subtotal, eligibleSubtotal, amount } = await evaluateCoupon(code, {
+    userId,
+    lines: items.map(item => {
+      const product = products.get(item.id);
+      return { price: product.price, quantity: item.quantity, category: product.category, productType: product.productType };
+    })
+  });
+
+  return {
+    code: coupon.code,
+    description: coupon.description,
+    subtotal,
+    eligibleSubtotal,
+    discount: amount,
+    subtotalAfterDiscount: subtotal - amount
+  };
+}
+
+/**
+ * Registra el uso del cupón en un pedido. El contador global se incrementa con una condición
+ * para que dos pedidos simultáneos no pasen del límite.
+ */
+async function redeemCoupon(coupon, { userId, orderId, amount }, session) {
+  const filter = { _id: coupon._id };
+  if (coupon.maxUses) {
+    filter.usedCount = { $lt: coupon.maxUses };
+  }
+
+  const updated = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true, session });
+  if (!updated) {
+    throw new CouponError('COUPON_EXHAUSTED');
+  }
+
+  await CouponRedemption.create([{ couponId: coupon._id, code: coupon.code, userId, orderId, amount }], { session });
+}
+
+// Deshace el uso del cupón de un pedido que se cancela o cuyo pago falla: el cliente lo recupera
+// y vuelve a contar para el límite global. Borrar la redención primero evita descontarlo dos veces.
+async function releaseCouponRedemption(orderId, session) {
+  const redemption = await CouponRedemption.findOneAndDelete({ orderId }, { session });
+  if (!redemption) return;
+
+  await Coupon.updateOne(
+    { _id: redemption.couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+}
+
+// Esquema de un cupón nuevo; al actualizar todos los campos son opcionales
+const COUPON_SCHEMA = {
+  code: { type: 'string', required: true, trim: true, pattern: /^\s*[A-Za-z0-9_-]+\s*$/ },
+  description: { type: 'string' },
+  type: { type: 'string', required: true, enum: COUPON_TYPES },
+  value: { type: 'number', required: true, min: 0, notZero: true },
+  minSubtotal: { type: 'number', min: 0 },
+  categories: { type: 'array', items: { type: 'string', required: true, trim: true } },
+  productTypes: { type: 'array', items: { type: 'string', enum: PRODUCT_TYPES } },
+  maxUses: { type: 'integer', min: 1, nullable: true },
+  maxUsesPerUser: { type: 'integer', min: 1, nullable: true },
+  startsAt: { type: 'date', nullable: true },
+  endsAt: { type: 'date', nullable: true },
+  active: { type: 'boolean' }
+};
+const COUPON_UPDATE_SCHEMA = optionalFields(COUPON_SCHEMA);
+
+/**
+ * Valida el cuerpo de creación (o de actualización si `existing` viene) de un cupón.
+ * Devuelve los errores por campo, los valores normalizados y los campos opcionales a quitar
+ * (los que llegan en null).
+ */
+function validateCouponPayload(body, existing = null) {
+  const errors = validateSchema(body, existing ? COUPON_UPDATE_SCHEMA : COUPON_SCHEMA);
+  if (errors.length > 0) return { errors, value: {}, unset: [] };
+
+  const value = {};
+  for (const [field, fieldValue] of Object.entries(body)) {
+    if (fieldValue === null) continue;
+    if (field === 'code') value.code = normalizeCode(fieldValue);
+    else if (field === 'startsAt' || field === 'endsAt') value[field] = new Date(fieldValue);
+    else if (field === 'description') value.description = fieldValue.trim();
+    else if (field === 'categories') value.categories = fieldValue.map(category => category.trim());
+    else value[field] = fieldValue;
+  }
+
+  const type = value.type || existing?.type;
+  const discountValue = value.value ?? existing?.value;
+  if (type === 'percentage' && discountValue > 100) {
+    errors.push(fieldError('value', 'TOO_LARGE', { max: 100 }));
+  }
+  const startsAt = value.startsAt || (body.startsAt === null ? null : existing?.startsAt);
+  const endsAt = value.endsAt || (body.endsAt === null ? null : existing?.endsAt);
+  if (startsAt && endsAt && startsAt >= endsAt) {
+    errors.push(fieldError('endsAt', 'INVALID_RANGE'));
+  }
+
+  const unset = existing ? OPTIONAL_FIELDS.filter(field => body[field] === null) : [];
+  return { errors, value, unset };
+}
+
+module.exports = {
+  evaluateCoupon,
+  checkCoupon,
+  redeemCoupon,
+  releaseCouponRedemption,
+  validateCouponPayload,
+  normalizeCode,
+  CouponError
+};
@@ -0,0 +1,77 @@
+// services/guestOrders.js
+// Pedidos de invitados (sin cuenta): se consultan con número de pedido + correo o con un enlace
+// firmado, y pasan a la cuenta cuando el cliente se registra y verifica ese mismo correo.
+const jwt = require('jsonwebtoken');
+const Order = require('../models/Order');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const ORDER_LINK_TTL = '90d';
+
+// Los correos se comparan sin distinguir mayúsculas (el cliente los escribe a mano en cada compra)
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+const sameEmail = (a = '', b = '') => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Token del enlace para consultar (y pagar) un pedido sin iniciar sesión
+const signOrderToken = (order) =>
+  jwt.sign(
+    { orderId: order.orderId, email: order.customer.email.toLowerCase() },
+    process.env.ORDER_LINK_SECRET,
+    { expiresIn: ORDER_LINK_TTL }
+  );
+
+const orderLink = (order) => `${FRONTEND_URL}/order-status.html?token=${signOrderToken(order)}`;
+
+// Pedido con ese número y correo, o null. Sirve para cualquier pedido: quien tiene ambos datos ya recibió la confirmación
+async function findOrderByEmail(orderId, email) {
+  const order = await Order.findOne({ orderId });
+  return order && sameEmail(order.customer.email, email) ? order : null;
+}
+
+// Pedido del enlace firmado, o null si el token no es válido, expiró o el pedido cambió de correo
+async function findOrderByToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.ORDER_LINK_SECRET);
+  } catch (error) {
+    return null;
+  }
+  return findOrderByEmail(decoded.orderId, decoded.email);
+}
+
+// Lo que ve quien consulta un pedido sin cuenta (sin ids internos ni quién cambió cada estado)
+const guestOrderView = (order) => ({
+  orderId: order.orderId,
+  date: order.date,
+  status: order.status,
+  trackingNumber: order.trackingNumber,
+  customer: order.customer,
+  items: order.items,
+  subtotal: order.subtotal,
+  discount: order.discount,
+  shipping: order.shipping,
+  total: order.total,
+  statusHistory: order.statusHistory.map(({ status, note, date }) => ({ status, note, date }))
+});
+
+/**
+ * Asigna a la cuenta los pedidos de invitado hechos con su correo. Solo debe llamarse con el
+ * correo ya verificado: si no, cualquiera podría registrarse con un correo ajeno y ver sus pedidos.
+ * Devuelve cuántos pedidos se asignaron.
+ */
+async function attachGuestOrders(user) {
+  const { modifiedCount } = await Order.updateMany(
+    { userId: null, 'customer.email': user.email },
+    { userId: user._id },
+    { collation: CASE_INSENSITIVE }
+  );
+  return modifiedCount;
+}
+
+module.exports = {
+  signOrderToken,
+  orderLink,
+  findOrderByEmail,
+  findOrderByToken,
+  guestOrderView,
+  attachGuestOrders
+};
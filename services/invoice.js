@@ -0,0 +1,128 @@
+// services/invoice.js
+// Facturas en PDF generadas a partir de la orden guardada
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const { formatCurrency } = require('../utils/format');
+const { inTransaction } = require('../utils/transaction');
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'FV';
+
+const formatInvoiceNumber = (number) => `${INVOICE_PREFIX}-${String(number).padStart(6, '0')}`;
+
+/**
+ * Asigna el siguiente número de factura a la orden si aún no tiene uno.
+ * Contador y orden se actualizan en la misma transacción para no dejar huecos en la numeración.
+ */
+async function ensureInvoiceNumber(order) {
+  if (order.invoiceNumber) return order;
+
+  return inTransaction(async (session) => {
+    const current = await Order.findById(order._id).session(session);
+    if (current.invoiceNumber) return current;
+
+    current.invoiceNumber = await Counter.next('invoice', session);
+    await current.save({ session });
+    return current;
+  });
+}
+
+// Dibuja la factura y devuelve el PDF completo como Buffer
+function buildInvoicePdf(order) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { customer } = order;
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const columns = { product: left, quantity: 330, price: 390, total: 470 };
+
+    // Encabezado
+    doc.fillColor('#d32f2f').fontSize(20).text('MiTienda', left, 50);
+    doc.fillColor('#000').fontSize(10)
+      .text(`Factura ${formatInvoiceNumber(order.invoiceNumber)}`, left, 50, { align: 'right' })
+      .text(`Pedido #${order.orderId}`, { align: 'right' })
+      .text(`Fecha: ${new Date(order.date).toLocaleDateString('es-CO', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      })}`, { align: 'right' });
+
+    // Cliente
+    doc.moveDown(2).fontSize(12).text('Facturar a', left);
+    doc.fontSize(10)
+      .text(customer.name)
+      .text(`Documento: ${customer.idNumber}`)
+      .text(`${customer.address.street}, ${customer.address.neighborhood}`)
+      .text(`${customer.address.district}, ${customer.address.city}`)
+      .text(`Teléfono: ${customer.phone}`)
+      .text(customer.email);
+
+    // Detalle
+    let y = doc.moveDown(2).y;
+    doc.font('Helvetica-Bold')
+      .text('Producto', columns.product, y)
+      .text('Cant.', columns.quantity, y, { width: 50, align: 'center' })
+      .text('Precio', columns.price, y, { width: 70, align: 'right' })
+      .text('Total', columns.total, y, { width: right - columns.total, align: 'right' });
+    doc.moveTo(left, y + 14).lineTo(right, y + 14).strokeColor('#ddd').stroke();
+    doc.font('Helvetica');
+
+    y += 22;
+    for (const item of order.items) {
+      const variant = [item.size, item.color].filter(Boolean).join(' / ');
+      const description = variant ? `${item.name} (${variant})` : item.name;
+      const rowHeight = Math.max(doc.heightOfString(description, { width: columns.quantity - left - 10 }), 12);
+
+      if (y + rowHeight > doc.page.height - doc.page.margins.bottom - 80) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+
+      doc.text(description, columns.product, y, { width: columns.quantity - left - 10 })
+        .text(String(item.quantity), columns.quantity, y, { width: 50, align: 'center' })
+        .text(formatCurrency(item.price), columns.price, y, { width: 70, align: 'right' })
+        .text(formatCurrency(item.price * item.quantity), columns.total, y, { width: right - columns.total, align: 'right' });
+      y += rowHeight + 8;
+    }
+
+    // Totales
+    if (y + 90 > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    doc.moveTo(left, y).lineTo(right, y).strokeColor('#ddd').stroke();
+    y += 10;
+    const totals = [
+      ['Subtotal', order.subtotal],
+      ...(order.discount?.amount ? [[`Descuento (${order.discount.code})`, -order.discount.amount]] : []),
+      ['Envío', order.shipping],
+      ['Total', order.total]
+    ];
+    for (const [label, value] of totals) {
+      if (label === 'Total') doc.font('Helvetica-Bold');
+      doc.text(`${label}:`, columns.price - 60, y, { width: 120, align: 'right' })
+        .text(formatCurrency(value), columns.total, y, { width: right - columns.total, align: 'right' });
+      y += 16;
+    }
+
+    doc.end();
+  });
+}
+
+// Número de factura + PDF listos para descargar o adjuntar a un correo
+async function generateInvoice(order) {
+  const invoiced = await ensureInvoiceNumber(order);
+  const pdf = await buildInvoicePdf(invoiced);
+  return {
+    order: invoiced,
+    pdf,
+    filename: `factura-${formatInvoiceNumber(invoiced.invoiceNumber)}.pdf`
+  };
+}
+
+module.exports = { generateInvoice, buildInvoicePdf, ensureInvoiceNumber, formatInvoiceNumber };
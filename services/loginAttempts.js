@@ -0,0 +1,44 @@
+// services/loginAttempts.js
+// Bloqueo progresivo de cuentas tras varios intentos de login fallidos seguidos:
+// a partir del umbral cada fallo bloquea la cuenta el doble de tiempo que el anterior.
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+const { secondsUntil } = require('./rateLimit');
+
+const LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD) || 5;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+
+const lockDuration = (attempts) =>
+  Math.min(BASE_LOCK_MS * 2 ** (attempts - LOCK_THRESHOLD), MAX_LOCK_MS);
+
+// Lanza 429 ACCOUNT_LOCKED si la cuenta sigue bloqueada; se llama antes de comprobar la contraseña
+function assertNotLocked(user) {
+  if (user.lockedUntil && user.lockedUntil > Date.now()) {
+    throw new AppError('ACCOUNT_LOCKED', 429, { extra: { retryAfter: secondsUntil(user.lockedUntil) } });
+  }
+}
+
+// Suma el fallo de forma atómica (dos intentos simultáneos cuentan los dos) y bloquea si toca
+async function recordFailedLogin(user) {
+  const { failedLoginAttempts } = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  ).lean();
+
+  if (failedLoginAttempts >= LOCK_THRESHOLD) {
+    await User.updateOne(
+      { _id: user._id },
+      { lockedUntil: new Date(Date.now() + lockDuration(failedLoginAttempts)) }
+    );
+  }
+  return failedLoginAttempts;
+}
+
+async function clearFailedLogins(user) {
+  if (!user.failedLoginAttempts && !user.lockedUntil) return;
+  await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, $unset: { lockedUntil: 1 } });
+}
+
+module.exports = { assertNotLocked, recordFailedLogin, clearFailedLogins, lockDuration, LOCK_THRESHOLD };
@@ -0,0 +1,16 @@
+// services/mailer.js
+const nodemailer = require('nodemailer');
+
+// Configuración de Nodemailer. Con MAIL_TRANSPORT=json los correos no salen del proceso:
+// sendMail devuelve el mensaje serializado (lo usan las pruebas y el desarrollo sin cuenta de correo).
+const transporter = process.env.MAIL_TRANSPORT === 'json'
+  ? nodemailer.createTransport({ jsonTransport: true })
+  : nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+
+module.exports = { transporter };
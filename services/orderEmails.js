@@ -0,0 +1,63 @@
+// services/orderEmails.js
+// Correos relacionados con pedidos, enviados siempre a través de la bandeja de salida
+const Order = require('../models/Order');
+const { registerEmailType, enqueueEmail } = require('./outbox');
+const { renderEmail } = require('./templates');
+const { generateInvoice } = require('./invoice');
+const { orderLink } = require('./guestOrders');
+
+const STATUS_LABELS = {
+  pending: 'pendiente',
+  paid: 'pagado',
+  payment_failed: 'con pago rechazado',
+  preparing: 'en preparación',
+  shipped: 'enviado',
+  delivered: 'entregado',
+  cancelled: 'cancelado',
+  returned: 'devuelto'
+};
+
+async function loadOrder(orderId) {
+  const order = await Order.findOne({ orderId });
+  if (!order) {
+    throw new Error(`Pedido no encontrado: ${orderId}`);
+  }
+  return order;
+}
+
+registerEmailType('order-confirmation', async ({ orderId }) => {
+  const { order, pdf, filename } = await generateInvoice(await loadOrder(orderId));
+  // Los invitados no tienen "Mis pedidos": reciben un enlace para consultar el estado
+  const data = { order: order.toObject(), orderLink: order.userId ? null : orderLink(order) };
+
+  return {
+    to: order.customer.email,
+    subject: `Confirmación de tu pedido #${order.orderId}`,
+    ...renderEmail('order-confirmation', data),
+    attachments: [{ filename, content: pdf, contentType: 'application/pdf' }]
+  };
+});
+
+registerEmailType('order-status', async ({ orderId, status, note }) => {
+  const order = await loadOrder(orderId);
+  const label = STATUS_LABELS[status] || status;
+
+  return {
+    to: order.customer.email,
+    subject: `Tu pedido #${order.orderId} está ${label}`,
+    ...renderEmail('order-status', {
+      order: order.toObject(),
+      label,
+      note,
+      trackingNumber: status === 'shipped' ? order.trackingNumber : null
+    })
+  };
+});
+
+const queueOrderConfirmation = (order) =>
+  enqueueEmail('order-confirmation', { orderId: order.orderId });
+
+const queueOrderStatusEmail = (order, note) =>
+  enqueueEmail('order-status', { orderId: order.orderId, status: order.status, note });
+
+module.exports = { queueOrderConfirmation, queueOrderStatusEmail };
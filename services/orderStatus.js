@@ -0,0 +1,147 @@
+// services/orderStatus.js
+// Ciclo de vida de los pedidos: transiciones permitidas, historial, devolución de stock y avisos al cliente
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { normalizeVariant, adjustStock } = require('./stock');
+const { releaseCouponRedemption } = require('./coupons');
+const { queueOrderStatusEmail } = require('./orderEmails');
+const { AppError } = require('../utils/errors');
+const { inTransaction } = require('../utils/transaction');
+
+// pending → paid → preparing → shipped → delivered, con cancelación antes del envío y devolución después.
+// payment_failed lo asigna la pasarela cuando rechaza el pago.
+const TRANSITIONS = {
+  pending: ['paid', 'payment_failed', 'cancelled'],
+  payment_failed: [],
+  paid: ['preparing', 'cancelled'],
+  preparing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+class OrderStatusError extends AppError {
+  constructor(code, status = 400, options) {
+    super(code, status, options);
+    this.name = 'OrderStatusError';
+  }
+}
+
+// Estados en los que las unidades del pedido vuelven al inventario (y el cupón usado queda libre)
+const RESTOCK_STATUSES = ['cancelled', 'payment_failed'];
+
+// Un pedido sin pagar aparta su stock; pasado este tiempo se cancela y las unidades se liberan
+const PENDING_ORDER_MINUTES = Number(process.env.PENDING_ORDER_MINUTES) || 120;
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Devuelve al inventario las unidades de todas las líneas del pedido
+async function restoreOrderStock(order, session, changedBy) {
+  for (const item of order.items) {
+    const product = await Product.findOne({ id: item.productId }).session(session);
+    const variant = product && normalizeVariant(product.productType, item);
+    if (!variant) {
+      console.warn(`No se pudo devolver stock de ${item.productId} (${item.size}/${item.color}) del pedido ${order.orderId}`);
+      continue;
+    }
+    await adjustStock(product, variant, item.quantity, session, {
+      type: 'cancellation',
+      reference: order.orderId,
+      note: order.status,
+      userId: changedBy
+    });
+  }
+}
+
+/**
+ * Cambia el estado de un pedido validando la transición. Registra quién hizo el cambio,
+ * devuelve el stock y el cupón si el pedido se cancela o el pago falla y avisa al cliente por correo.
+ */
+async function changeOrderStatus(orderId, { status, changedBy, note, trackingNumber }) {
+  if (!TRANSITIONS[status]) {
+    throw new OrderStatusError('ORDER_STATUS_UNKNOWN', 400, { params: { status } });
+  }
+  if (status === 'shipped' && !trackingNumber) {
+    throw new OrderStatusError('TRACKING_REQUIRED');
+  }
+
+  const order = await inTransaction(async (session) => {
+    const current = await Order.findOne({ orderId }).session(session);
+    if (!current) {
+      throw new OrderStatusError('ORDER_NOT_FOUND', 404);
+    }
+    if (!canTransition(current.status, status)) {
+      throw new OrderStatusError('ORDER_TRANSITION_INVALID', 409, { params: { from: current.status, to: status } });
+    }
+
+    const update = {
+      $set: { status, ...(trackingNumber && { trackingNumber }) },
+      $push: { statusHistory: { status, changedBy, note, date: new Date() } }
+    };
+
+    // La condición sobre el estado actual evita que dos cambios simultáneos se pisen
+    const updated = await Order.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      update,
+      { new: true, session }
+    );
+    if (!updated) {
+      throw new OrderStatusError('ORDER_CHANGED', 409);
+    }
+
+    if (RESTOCK_STATUSES.includes(status)) {
+      await restoreOrderStock(updated, session, changedBy);
+      await releaseCouponRedemption(updated.orderId, session);
+    }
+    return updated;
+  });
+
+  // El aviso al cliente no debe revertir un cambio de estado ya confirmado
+  try {
+    await queueOrderStatusEmail(order, note);
+  } catch (error) {
+    console.error(`Error notificando el estado del pedido ${orderId}:`, error);
+  }
+
+  return order;
+}
+
+// Cancela los pedidos que siguen pendientes de pago después de PENDING_ORDER_MINUTES.
+// Un pago aprobado más tarde queda registrado pero ya no reabre el pedido (ver services/payments.js).
+async function sweepStalePendingOrders(limit = 100) {
+  const cutoff = new Date(Date.now() - PENDING_ORDER_MINUTES * 60 * 1000);
+  const stale = await Order.find({ status: 'pending', date: { $lte: cutoff } })
+    .select('orderId')
+    .limit(limit)
+    .lean();
+
+  let cancelled = 0;
+  for (const { orderId } of stale) {
+    try {
+      await changeOrderStatus(orderId, { status: 'cancelled', note: 'Pedido sin pagar vencido' });
+      cancelled++;
+    } catch (error) {
+      // Otro proceso (p. ej. el webhook del pago) lo cambió primero
+      if (!(error instanceof OrderStatusError)) throw error;
+    }
+  }
+  return cancelled;
+}
+
+function startPendingOrderSweeper(intervalMs = 5 * 60 * 1000) {
+  const timer = setInterval(() => {
+    sweepStalePendingOrders().catch(error => console.error('Error cancelando pedidos sin pagar:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  changeOrderStatus,
+  sweepStalePendingOrders,
+  startPendingOrderSweeper,
+  OrderStatusError
+};
@@ -0,0 +1,89 @@
+// services/outbox.js
+// Bandeja de salida de correos: se guardan antes de enviarse y se reintentan con espera creciente si fallan
+const EmailOutbox = require('../models/EmailOutbox');
+const { transporter } = require('./mailer');
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+// Tiempo que un envío queda "reservado" para que otro proceso no lo tome a la vez
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Cada tipo de correo sabe construir su mensaje (to, subject, html, text, attachments) a partir del payload
+const builders = new Map();
+
+function registerEmailType(type, builder) {
+  builders.set(type, builder);
+}
+
+async function deliver(entry) {
+  const now = new Date();
+  const claimed = await EmailOutbox.findOneAndUpdate(
+    { _id: entry._id, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_TIMEOUT_MS) } },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  try {
+    const build = builders.get(claimed.type);
+    if (!build) {
+      throw new Error(`Tipo de correo desconocido: ${claimed.type}`);
+    }
+
+    const message = await build(claimed.payload);
+    await transporter.sendMail({ from: `"MiTienda" <${process.env.EMAIL_USER}>`, ...message });
+
+    claimed.status = 'sent';
+    claimed.sentAt = new Date();
+    claimed.lastError = undefined;
+  } catch (error) {
+    claimed.attempts += 1;
+    claimed.lastError = error.message;
+    if (claimed.attempts >= MAX_ATTEMPTS) {
+      claimed.status = 'failed';
+      console.error(`❌ Correo ${claimed.type} (${claimed._id}) descartado tras ${claimed.attempts} intentos:`, error);
+    } else {
+      claimed.nextAttemptAt = new Date(Date.now() + BASE_RETRY_DELAY_MS * 2 ** (claimed.attempts - 1));
+    }
+  }
+
+  await claimed.save();
+}
+
+/**
+ * Guarda el correo en la bandeja de salida e intenta enviarlo en segundo plano.
+ * Nunca falla por problemas de envío: de eso se encarga el worker.
+ * Con `session` el correo se guarda dentro de la transacción y lo envía el worker
+ * cuando ya está confirmada (si se aborta, el correo nunca existió).
+ */
+async function enqueueEmail(type, payload, session) {
+  if (session) {
+    const [entry] = await EmailOutbox.create([{ type, payload }], { session });
+    return entry;
+  }
+
+  const entry = await EmailOutbox.create({ type, payload });
+  deliver(entry).catch(error => console.error('Error enviando correo de la bandeja de salida:', error));
+  return entry;
+}
+
+// Envía los correos pendientes cuyo reintento ya venció
+async function processOutbox(limit = 20) {
+  const due = await EmailOutbox.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+
+  for (const entry of due) {
+    await deliver(entry);
+  }
+}
+
+function startOutboxWorker(intervalMs = 60 * 1000) {
+  const timer = setInterval(() => {
+    processOutbox().catch(error => console.error('Error procesando la bandeja de salida:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { registerEmailType, enqueueEmail, processOutbox, startOutboxWorker };
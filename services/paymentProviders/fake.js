@@ -0,0 +1,49 @@
+// services/paymentProviders/fake.js
+// Pasarela local para desarrollo y pruebas: no cobra nada y firma sus eventos con HMAC-SHA256
+// del cuerpo crudo usando FAKE_PAYMENT_SECRET (cabecera x-fake-signature).
+// services/payments.js no la deja usar fuera de NODE_ENV=development o test.
+const crypto = require('crypto');
+const { safeEqual } = require('../../utils/compare');
+
+// Sin valor por defecto: un secreto conocido permitiría a cualquiera firmar pagos aprobados
+function secret() {
+  if (!process.env.FAKE_PAYMENT_SECRET) {
+    throw new Error('FAKE_PAYMENT_SECRET no está configurado');
+  }
+  return process.env.FAKE_PAYMENT_SECRET;
+}
+
+const sign = (rawBody) => crypto.createHmac('sha256', secret()).update(rawBody).digest('hex');
+
+module.exports = {
+  name: 'fake',
+  // Variables que server.js exige al arrancar con esta pasarela
+  requiredEnv: {
+    FAKE_PAYMENT_SECRET: 'firma de los eventos de la pasarela local'
+  },
+
+  async createIntent(payment) {
+    return { checkoutUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/fake-checkout.html?reference=${payment.reference}` };
+  },
+
+  verifyWebhook(req) {
+    const signature = req.get('x-fake-signature');
+    return Boolean(signature && req.rawBody && process.env.FAKE_PAYMENT_SECRET) && safeEqual(signature, sign(req.rawBody));
+  },
+
+  // Evento: { id, reference, status: 'approved' | 'declined' | 'pending', transactionId }
+  parseWebhook(body) {
+    return {
+      eventId: body.id,
+      reference: body.reference,
+      status: body.status,
+      transactionId: body.transactionId
+    };
+  },
+
+  // Arma un evento firmado, útil para simular la respuesta de la pasarela
+  buildEvent({ reference, status, id = crypto.randomUUID() }) {
+    const body = JSON.stringify({ id, reference, status, transactionId: `FAKE-${id}` });
+    return { body, signature: sign(body) };
+  }
+};
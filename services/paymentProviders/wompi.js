@@ -0,0 +1,80 @@
+// services/paymentProviders/wompi.js
+// Adaptador para Wompi (Widget/Web Checkout). Otras pasarelas colombianas (PayU, Mercado Pago)
+// se integran igual: firmar la intención de pago, verificar el evento y traducir su estado.
+const crypto = require('crypto');
+const { safeEqual } = require('../../utils/compare');
+
+const CHECKOUT_URL = 'https://checkout.wompi.co/p/';
+
+// Estados de transacción de Wompi → estados de Payment
+const STATUSES = {
+  APPROVED: 'approved',
+  DECLINED: 'declined',
+  VOIDED: 'declined',
+  ERROR: 'declined',
+  PENDING: 'pending'
+};
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Lee una ruta tipo "transaction.amount_in_cents" dentro de event.data
+const readPath = (source, path) => path.split('.').reduce((value, key) => value?.[key], source);
+
+// Sin el secreto la firma se calcularía con el texto "undefined" y Wompi rechazaría el pago
+function requireEnv(name) {
+  if (!process.env[name]) {
+    throw new Error(`${name} no está configurado`);
+  }
+  return process.env[name];
+}
+
+module.exports = {
+  name: 'wompi',
+  // Variables que server.js exige al arrancar con esta pasarela
+  requiredEnv: {
+    WOMPI_PUBLIC_KEY: 'llave pública del checkout de Wompi',
+    WOMPI_INTEGRITY_SECRET: 'firma de integridad de las intenciones de pago',
+    WOMPI_EVENTS_SECRET: 'verificación de los eventos del webhook de Wompi'
+  },
+
+  async createIntent(payment) {
+    const amountInCents = Math.round(payment.amount * 100);
+    // Firma de integridad: referencia + monto en centavos + moneda + secreto de integridad
+    const integrity = sha256(`${payment.reference}${amountInCents}${payment.currency}${requireEnv('WOMPI_INTEGRITY_SECRET')}`);
+
+    const params = new URLSearchParams({
+      'public-key': requireEnv('WOMPI_PUBLIC_KEY'),
+      currency: payment.currency,
+      'amount-in-cents': String(amountInCents),
+      reference: payment.reference,
+      'signature:integrity': integrity,
+      'redirect-url': `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment-result.html`
+    });
+    return { checkoutUrl: `${CHECKOUT_URL}?${params}` };
+  },
+
+  // El checksum es sha256 de los valores de signature.properties + timestamp + secreto de eventos
+  verifyWebhook(req) {
+    const event = req.body;
+    const properties = event?.signature?.properties;
+    if (!Array.isArray(properties) || !event.signature.checksum || !process.env.WOMPI_EVENTS_SECRET) {
+      return false;
+    }
+
+    const values = properties.map(path => readPath(event.data, path)).join('');
+    const expected = sha256(`${values}${event.timestamp}${process.env.WOMPI_EVENTS_SECRET}`);
+    return safeEqual(expected, String(event.signature.checksum).toLowerCase());
+  },
+
+  parseWebhook(event) {
+    const transaction = event.data?.transaction || {};
+    return {
+      // Wompi no numera sus eventos: una transacción solo llega una vez a cada estado
+      eventId: `${transaction.id}:${transaction.status}`,
+      reference: transaction.reference,
+      status: STATUSES[transaction.status] || 'pending',
+      transactionId: transaction.id,
+      amount: transaction.amount_in_cents / 100
+    };
+  }
+};
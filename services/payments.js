@@ -0,0 +1,145 @@
+// services/payments.js
+// Pagos de pedidos a través de una pasarela intercambiable (PAYMENT_PROVIDER, por defecto la local,
+// que solo se permite en desarrollo y pruebas)
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const PaymentEvent = require('../models/PaymentEvent');
+const { changeOrderStatus, OrderStatusError } = require('./orderStatus');
+const { AppError } = require('../utils/errors');
+
+// Cada pasarela expone: createIntent(payment), verifyWebhook(req) y parseWebhook(body)
+const PROVIDERS = {
+  fake: require('./paymentProviders/fake'),
+  wompi: require('./paymentProviders/wompi')
+};
+
+// Pasarelas que no cobran de verdad y solo se aceptan con NODE_ENV=development o test
+const DEVELOPMENT_PROVIDERS = ['fake'];
+const DEVELOPMENT_ENVS = ['development', 'test'];
+
+function getProvider(name = process.env.PAYMENT_PROVIDER || 'fake') {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new AppError('PAYMENT_PROVIDER_UNKNOWN', 404, { params: { provider: name } });
+  }
+  if (DEVELOPMENT_PROVIDERS.includes(name) && !DEVELOPMENT_ENVS.includes(process.env.NODE_ENV)) {
+    throw new AppError('PAYMENT_PROVIDER_DISABLED', 503, { params: { provider: name } });
+  }
+  return provider;
+}
+
+// Solo se aceptan webhooks de la pasarela configurada, no de cualquiera de las registradas
+function getWebhookProvider(name) {
+  const provider = getProvider();
+  if (provider.name !== name) {
+    throw new AppError('PAYMENT_PROVIDER_UNKNOWN', 404, { params: { provider: name } });
+  }
+  return provider;
+}
+
+const generateReference = (orderId) => `${orderId}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+/**
+ * Crea (o reutiliza) la intención de pago de un pedido pendiente en la pasarela configurada.
+ * Devuelve el Payment con la URL a la que se redirige al cliente para pagar.
+ */
+async function createPaymentIntent(order) {
+  if (order.status !== 'pending') {
+    throw new AppError('ORDER_NOT_PENDING', 409);
+  }
+
+  const provider = getProvider();
+  const existing = await Payment.findOne({
+    orderId: order.orderId,
+    provider: provider.name,
+    status: 'pending',
+    amount: order.total
+  });
+  if (existing) return existing;
+
+  const payment = new Payment({
+    orderId: order.orderId,
+    provider: provider.name,
+    reference: generateReference(order.orderId),
+    amount: order.total
+  });
+  const { checkoutUrl } = await provider.createIntent(payment);
+  payment.checkoutUrl = checkoutUrl;
+  await payment.save();
+  return payment;
+}
+
+// Lleva el pedido al estado que corresponde al pago; si ya no se puede (p. ej. se canceló) solo se registra
+async function settleOrder(payment) {
+  const status = payment.status === 'approved' ? 'paid' : 'payment_failed';
+  const note = payment.status === 'approved'
+    ? `Pago aprobado (${payment.provider} ${payment.reference})`
+    : `Pago rechazado (${payment.provider} ${payment.reference})`;
+
+  try {
+    await changeOrderStatus(payment.orderId, { status, note });
+  } catch (error) {
+    if (!(error instanceof OrderStatusError)) throw error;
+    const order = await Order.findOne({ orderId: payment.orderId }).lean();
+    if (order?.status === status) return;
+    console.warn(`Pago ${payment.reference} ${payment.status} para el pedido ${payment.orderId} en estado ${order?.status}: ${error.message}`);
+  }
+}
+
+/**
+ * Procesa un evento de webhook ya verificado. Es idempotente: un evento repetido no vuelve a
+ * tocar el pedido, y un pago que ya terminó no cambia por eventos posteriores.
+ * Devuelve { duplicate } para informar a la pasarela.
+ */
+async function handlePaymentEvent(providerName, body) {
+  const provider = getProvider(providerName);
+  const event = provider.parseWebhook(body);
+  if (!event.eventId || !event.reference) {
+    throw new AppError('PAYMENT_EVENT_INCOMPLETE');
+  }
+
+  let record;
+  try {
+    record = await PaymentEvent.create({
+      provider: provider.name,
+      eventId: event.eventId,
+      reference: event.reference,
+      status: event.status,
+      payload: body
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Repetido: solo se reprocesa si la vez anterior falló antes de terminar
+    record = await PaymentEvent.findOne({ provider: provider.name, eventId: event.eventId });
+    if (record.processedAt) return { duplicate: true };
+  }
+
+  if (event.status !== 'pending') {
+    const payment = await Payment.findOne({ provider: provider.name, reference: event.reference });
+    if (!payment) {
+      throw new AppError('PAYMENT_NOT_FOUND', 404, { params: { reference: event.reference } });
+    }
+
+    if (event.status === 'approved' && event.amount !== undefined && event.amount !== payment.amount) {
+      console.warn(`El monto aprobado para ${payment.reference} (${event.amount}) no coincide con el pago (${payment.amount})`);
+    } else {
+      // Solo el primer evento final cambia el pago; si es un reintento del mismo evento se
+      // vuelve a intentar llevar el pedido a su estado
+      const finished = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: 'pending' },
+        { status: event.status, providerTransactionId: event.transactionId, finishedAt: new Date() },
+        { new: true }
+      ) || (payment.status === event.status ? payment : null);
+      if (finished) {
+        await settleOrder(finished);
+      }
+    }
+  }
+
+  record.processedAt = new Date();
+  await record.save();
+  return { duplicate: false };
+}
+
+module.exports = { getProvider, getWebhookProvider, createPaymentIntent, handlePaymentEvent };
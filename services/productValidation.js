@@ -0,0 +1,136 @@
+// services/productValidation.js
+// Validación de los datos de producto que envía el panel de administración
+const { fieldError } = require('../utils/validation');
+
+const PRODUCT_TYPES = ['clothing', 'accessory', 'gloves', 'kneepads'];
+const EDITABLE_FIELDS = ['name', 'price', 'image', 'category', 'productType', 'weight', 'variants'];
+const CREATE_FIELDS = ['id', ...EDITABLE_FIELDS];
+
+const TEXT_FIELDS = ['name', 'image', 'category'];
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+// Reglas de variantes por tipo de producto
+function validateVariants(productType, variants, errors) {
+  if (!Array.isArray(variants) || variants.length === 0) {
+    errors.push(fieldError('variants', 'TOO_FEW_ITEMS', { min: 1 }));
+    return [];
+  }
+  if (productType === 'accessory' && variants.length !== 1) {
+    errors.push(fieldError('variants', 'ACCESSORY_SINGLE_VARIANT'));
+    return [];
+  }
+
+  const seen = new Set();
+  const normalized = [];
+
+  variants.forEach((variant, index) => {
+    const field = `variants[${index}]`;
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      errors.push(fieldError(field, 'INVALID_TYPE', { type: 'object' }));
+      return;
+    }
+
+    Object.keys(variant)
+      .filter(key => !['size', 'color', 'quantity'].includes(key))
+      .forEach(key => errors.push(fieldError(`${field}.${key}`, 'UNKNOWN_FIELD')));
+    if (!Number.isInteger(variant.quantity) || variant.quantity < 0) {
+      errors.push(fieldError(`${field}.quantity`, 'NON_NEGATIVE_INTEGER'));
+    }
+
+    let size = '';
+    let color = '';
+    switch (productType) {
+      case 'clothing':
+        if (!isNonEmptyString(variant.size)) errors.push(fieldError(`${field}.size`, 'REQUIRED'));
+        if (!isNonEmptyString(variant.color)) errors.push(fieldError(`${field}.color`, 'REQUIRED'));
+        size = String(variant.size ?? '').trim();
+        color = String(variant.color ?? '').trim();
+        break;
+      case 'accessory':
+        if (variant.size || variant.color) {
+          errors.push(fieldError(field, 'ACCESSORY_NO_VARIANT'));
+        }
+        break;
+      case 'gloves':
+      case 'kneepads':
+        if (!isNonEmptyString(variant.size)) errors.push(fieldError(`${field}.size`, 'REQUIRED'));
+        if (variant.color) errors.push(fieldError(`${field}.color`, 'COLOR_NOT_ALLOWED'));
+        size = String(variant.size ?? '').trim().toUpperCase();
+        break;
+    }
+
+    const key = `${size}|${color}`;
+    if (seen.has(key)) {
+      errors.push(fieldError(field, 'DUPLICATE_VARIANT'));
+    }
+    seen.add(key);
+    normalized.push({ size, color, quantity: variant.quantity });
+  });
+
+  return normalized;
+}
+
+/**
+ * Valida el cuerpo de creación (o de actualización si `existing` viene) de un producto.
+ * Rechaza campos desconocidos y devuelve los valores normalizados junto con los errores por campo.
+ */
+function validateProductPayload(body, existing = null) {
+  const errors = [];
+  const value = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: [fieldError('body', 'INVALID_TYPE', { type: 'object' })], value };
+  }
+
+  const allowed = existing ? EDITABLE_FIELDS : CREATE_FIELDS;
+  Object.keys(body)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => errors.push(fieldError(key, 'UNKNOWN_FIELD')));
+
+  const has = field => !existing || body[field] !== undefined;
+
+  if (!existing) {
+    if (!isNonEmptyString(body.id)) errors.push(fieldError('id', 'REQUIRED'));
+    else value.id = body.id.trim();
+  }
+  for (const field of TEXT_FIELDS) {
+    if (!has(field)) continue;
+    if (!isNonEmptyString(body[field])) errors.push(fieldError(field, 'REQUIRED'));
+    else value[field] = body[field].trim();
+  }
+  if (has('price')) {
+    if (typeof body.price !== 'number' || !Number.isFinite(body.price) || body.price < 0) {
+      errors.push(fieldError('price', 'NON_NEGATIVE_NUMBER'));
+    } else {
+      value.price = body.price;
+    }
+  }
+  if (body.weight !== undefined) {
+    if (typeof body.weight !== 'number' || !Number.isFinite(body.weight) || body.weight < 0) {
+      errors.push(fieldError('weight', 'NON_NEGATIVE_NUMBER'));
+    } else {
+      value.weight = body.weight;
+    }
+  }
+  if (has('productType')) {
+    if (!PRODUCT_TYPES.includes(body.productType)) {
+      errors.push(fieldError('productType', 'INVALID_ENUM', { values: PRODUCT_TYPES.join(', ') }));
+    } else {
+      value.productType = body.productType;
+    }
+  }
+
+  const productType = value.productType || existing?.productType;
+  const typeChanged = existing && value.productType && value.productType !== existing.productType;
+  if (typeChanged && body.variants === undefined) {
+    errors.push(fieldError('variants', 'VARIANTS_REQUIRED_ON_TYPE_CHANGE'));
+  }
+  if (has('variants') && PRODUCT_TYPES.includes(productType)) {
+    value.variants = validateVariants(productType, body.variants, errors);
+  }
+
+  return { errors, value };
+}
+
+module.exports = { validateProductPayload, PRODUCT_TYPES };
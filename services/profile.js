@@ -0,0 +1,126 @@
+// services/profile.js
+// Perfil del cliente: datos personales y direcciones guardadas para no tener que escribirlos
+// en cada pedido. El checkout arma los datos del cliente a partir de aquí (ver customerFromProfile).
+const { ADDRESS_SCHEMA } = require('./checkout');
+const { AppError, validationError } = require('../utils/errors');
+const { optionalFields, fieldError } = require('../utils/validation');
+
+const MAX_ADDRESSES = 10;
+
+const TEXT = { type: 'string', trim: true, maxLength: 200 };
+
+// Datos personales; todos opcionales para poder completarlos de a poco
+const PROFILE_SCHEMA = { name: TEXT, idNumber: TEXT, phone: TEXT };
+
+// Dirección nueva; al actualizar todos los campos son opcionales
+const ADDRESS_FIELDS = {
+  label: { type: 'string', trim: true, maxLength: 50 },
+  ...ADDRESS_SCHEMA.properties,
+  isDefault: { type: 'boolean' }
+};
+const ADDRESS_UPDATE_FIELDS = optionalFields(ADDRESS_FIELDS);
+
+// Datos que el checkout necesita del perfil además de la dirección
+const REQUIRED_FOR_CHECKOUT = ['name', 'idNumber', 'phone'];
+
+const trimmed = (body) => Object.fromEntries(Object.entries(body).map(([field, value]) =>
+  [field, typeof value === 'string' ? value.trim() : value]));
+
+const toProfile = (user) => ({
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified !== false,
+  name: user.name,
+  idNumber: user.idNumber,
+  phone: user.phone,
+  addresses: user.addresses
+});
+
+function findAddress(user, addressId) {
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    throw new AppError('ADDRESS_NOT_FOUND', 404);
+  }
+  return address;
+}
+
+// Solo una dirección es la predeterminada
+function setDefaultAddress(user, address) {
+  for (const other of user.addresses) {
+    other.isDefault = other._id.equals(address._id);
+  }
+}
+
+function updateProfile(user, body) {
+  user.set(trimmed(body));
+}
+
+// La primera dirección guardada queda como predeterminada
+function addAddress(user, body) {
+  if (user.addresses.length >= MAX_ADDRESSES) {
+    throw new AppError('TOO_MANY_ADDRESSES', 409, { params: { max: MAX_ADDRESSES } });
+  }
+
+  user.addresses.push({ ...trimmed(body), isDefault: false });
+  const address = user.addresses[user.addresses.length - 1];
+  if (body.isDefault || user.addresses.length === 1) setDefaultAddress(user, address);
+  return address;
+}
+
+function updateAddress(user, addressId, body) {
+  const address = findAddress(user, addressId);
+  const { isDefault, ...fields } = trimmed(body);
+  address.set(fields);
+  if (isDefault) setDefaultAddress(user, address);
+  return address;
+}
+
+// Si se borra la predeterminada, pasa a serlo la primera de las que quedan
+function removeAddress(user, addressId) {
+  const address = findAddress(user, addressId);
+  address.deleteOne();
+  if (address.isDefault && user.addresses.length > 0) setDefaultAddress(user, user.addresses[0]);
+}
+
+/**
+ * Datos del cliente para el checkout (con la forma de CUSTOMER_SCHEMA) a partir del perfil:
+ * la dirección indicada o la predeterminada. Falla con 400 si al perfil le faltan datos.
+ */
+function customerFromProfile(user, addressId) {
+  const address = addressId
+    ? user.addresses.id(addressId)
+    : user.addresses.find(candidate => candidate.isDefault) || user.addresses[0];
+  if (!address) {
+    throw validationError([fieldError('addressId', addressId ? 'ADDRESS_NOT_FOUND' : 'REQUIRED')]);
+  }
+
+  const missing = REQUIRED_FOR_CHECKOUT.filter(field => !user[field]);
+  if (missing.length > 0) {
+    throw validationError(missing.map(field => fieldError(`profile.${field}`, 'REQUIRED')), 'PROFILE_INCOMPLETE');
+  }
+
+  return {
+    name: user.name,
+    email: user.email,
+    id: user.idNumber,
+    phone: user.phone,
+    address: {
+      street: address.street,
+      neighborhood: address.neighborhood,
+      district: address.district,
+      city: address.city
+    }
+  };
+}
+
+module.exports = {
+  PROFILE_SCHEMA,
+  ADDRESS_FIELDS,
+  ADDRESS_UPDATE_FIELDS,
+  toProfile,
+  updateProfile,
+  addAddress,
+  updateAddress,
+  removeAddress,
+  customerFromProfile
+};
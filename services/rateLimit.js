@@ -0,0 +1,34 @@
+// services/rateLimit.js
+// Contadores de solicitudes por ventana de tiempo sobre un almacén intercambiable
+// (RATE_LIMIT_STORE: memory por defecto, mongo cuando hay varias instancias de la API)
+const { AppError } = require('../utils/errors');
+
+// Cada almacén expone: hit(key, windowMs) → { count, resetAt }, reset(key) y clear()
+const STORES = {
+  memory: require('./rateLimitStores/memory'),
+  mongo: require('./rateLimitStores/mongo')
+};
+
+function getStore(name = process.env.RATE_LIMIT_STORE || 'memory') {
+  const store = STORES[name];
+  if (!store) {
+    throw new AppError('RATE_LIMIT_STORE_UNKNOWN', 500, { params: { store: name } });
+  }
+  return store;
+}
+
+// Segundos que faltan para `date`, como mínimo uno (valor de la cabecera Retry-After)
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+
+/**
+ * Cuenta una solicitud para `key` y dice si se pasó de `max` en la ventana actual.
+ * Devuelve { limited, count, retryAfter }.
+ */
+async function consume(key, { windowMs, max }) {
+  const { count, resetAt } = await getStore().hit(key, windowMs);
+  return { limited: count > max, count, retryAfter: secondsUntil(resetAt) };
+}
+
+const resetLimit = (key) => getStore().reset(key);
+
+module.exports = { getStore, consume, resetLimit, secondsUntil };
@@ -0,0 +1,35 @@
+// services/rateLimitStores/memory.js
+// Contadores en la memoria del proceso: sirve para una sola instancia (y para desarrollo y pruebas)
+const counters = new Map();
+
+// Limpieza periódica de las ventanas vencidas para que el mapa no crezca sin límite
+const sweeper = setInterval(() => {
+  const now = Date.now();
+  for (const [key, counter] of counters) {
+    if (counter.resetAt <= now) counters.delete(key);
+  }
+}, 60 * 1000);
+sweeper.unref();
+
+module.exports = {
+  name: 'memory',
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count += 1;
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  },
+
+  async reset(key) {
+    counters.delete(key);
+  },
+
+  async clear() {
+    counters.clear();
+  }
+};
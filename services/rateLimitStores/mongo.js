@@ -0,0 +1,43 @@
+// services/rateLimitStores/mongo.js
+// Contadores en MongoDB, compartidos por todas las instancias de la API
+const RateLimit = require('../../models/RateLimit');
+
+// Suma uno al contador, o lo reinicia si su ventana ya terminó, en una sola operación atómica
+async function increment(key, windowMs) {
+  const now = new Date();
+  const active = { $gt: ['$resetAt', now] };
+  return RateLimit.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        count: { $cond: [active, { $add: ['$count', 1] }, 1] },
+        resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + windowMs)] }
+      }
+    }],
+    { upsert: true, new: true, lean: true }
+  );
+}
+
+module.exports = {
+  name: 'mongo',
+
+  async hit(key, windowMs) {
+    let counter;
+    try {
+      counter = await increment(key, windowMs);
+    } catch (error) {
+      // Dos primeras solicitudes simultáneas compiten por crear el contador: la segunda reintenta
+      if (error.code !== 11000) throw error;
+      counter = await increment(key, windowMs);
+    }
+    return { count: counter.count, resetAt: counter.resetAt };
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  },
+
+  async clear() {
+    await RateLimit.deleteMany({});
+  }
+};
@@ -0,0 +1,83 @@
+// services/reportExport.js
+// Exportación de los reportes de services/reports.js a CSV y PDF
+const PDFDocument = require('pdfkit');
+const { stringifyCsv } = require('../utils/csv');
+const { formatNumber, formatCurrency } = require('../utils/format');
+
+function formatCell(value, type) {
+  if (value === undefined || value === null) return '';
+  if (type === 'currency') return formatCurrency(value);
+  if (type === 'number') return formatNumber(value);
+  return String(value);
+}
+
+// En el CSV van los valores sin formato para que se puedan sumar en una hoja de cálculo
+function reportToCsv(report) {
+  const rows = report.totals ? [...report.rows, report.totals] : report.rows;
+  const labeled = rows.map(row => Object.fromEntries(report.columns.map(({ key, label }) => [label, row[key]])));
+  return stringifyCsv(labeled, report.columns.map(column => column.label));
+}
+
+// Tabla simple en hoja carta horizontal, repitiendo el encabezado en cada página
+function buildReportPdf(report, { subtitle } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', layout: 'landscape', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const columnWidth = width / report.columns.length;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    doc.fillColor('#d32f2f').fontSize(18).text('MiTienda', left, 40);
+    doc.fillColor('#000').fontSize(14).text(report.title);
+    doc.fontSize(9).fillColor('#555')
+      .text(subtitle || `Generado el ${new Date().toLocaleString('es-CO')}`);
+    doc.fillColor('#000');
+
+    const drawRow = (row, y, { bold = false, header = false } = {}) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      const cells = report.columns.map(column =>
+        header ? column.label : formatCell(row[column.key], column.type));
+      const height = Math.max(...cells.map(cell => doc.heightOfString(cell, { width: columnWidth - 6 })), 10);
+      cells.forEach((cell, index) => {
+        const numeric = !header && ['currency', 'number'].includes(report.columns[index].type);
+        doc.text(cell, left + index * columnWidth, y, { width: columnWidth - 6, align: numeric ? 'right' : 'left' });
+      });
+      return height + 6;
+    };
+
+    const drawHeader = (y) => {
+      const height = drawRow(null, y, { bold: true, header: true });
+      doc.moveTo(left, y + height - 3).lineTo(left + width, y + height - 3).strokeColor('#ddd').stroke();
+      return y + height;
+    };
+
+    let y = drawHeader(doc.moveDown(1.5).y);
+    if (report.rows.length === 0) {
+      doc.font('Helvetica').text('Sin datos para el período seleccionado', left, y);
+    }
+    for (const row of report.rows) {
+      if (y + 24 > bottom()) {
+        doc.addPage();
+        y = drawHeader(doc.page.margins.top);
+      }
+      y += drawRow(row, y);
+    }
+    if (report.totals) {
+      if (y + 24 > bottom()) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+      doc.moveTo(left, y).lineTo(left + width, y).strokeColor('#ddd').stroke();
+      drawRow(report.totals, y + 4, { bold: true });
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = { reportToCsv, buildReportPdf };
@@ -0,0 +1,322 @@
+// services/reports.js
+// Reportes de ventas e inventario para administradores, calculados con agregaciones sobre Order y Stock.
+// Cada reporte devuelve { name, title, columns, rows, totals } para exportarse igual a JSON, CSV o PDF.
+const Order = require('../models/Order');
+const Stock = require('../models/Stock');
+const ShippingZone = require('../models/ShippingZone');
+const { AppError, validationError } = require('../utils/errors');
+const { fieldError } = require('../utils/validation');
+
+// Pedidos que cuentan como venta: pagados y no cancelados ni devueltos
+const SALE_STATUSES = ['paid', 'preparing', 'shipped', 'delivered'];
+const GROUP_UNITS = ['day', 'week', 'month'];
+const TIMEZONE = process.env.REPORT_TIMEZONE || 'America/Bogota';
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_TOP_LIMIT = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Diferencia en milisegundos entre la hora de la zona de los reportes y UTC en ese instante
+function timezoneOffset(date) {
+  const local = new Date(date.toLocaleString('en-US', { timeZone: TIMEZONE }));
+  const utc = new Date(date.toLocaleString('en-US', { timeZone: 'UTC' }));
+  return local - utc;
+}
+
+// Medianoche del día indicado en la zona horaria de los reportes
+function parseDay(value, field) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new AppError('INVALID_DAY', 400, { params: { field } });
+  }
+  const midnight = new Date(`${value}T00:00:00Z`);
+  return new Date(midnight.getTime() - timezoneOffset(midnight));
+}
+
+// Día (AAAA-MM-DD) de un instante en la zona horaria de los reportes
+const formatDay = date => date.toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+
+/**
+ * Rango de fechas de los reportes a partir de ?from=AAAA-MM-DD&to=AAAA-MM-DD (ambos incluidos).
+ * Sin fechas se toman los últimos 30 días.
+ */
+function parseRange({ from, to } = {}) {
+  const end = to ? new Date(parseDay(to, 'to').getTime() + DAY_MS) : new Date();
+  const start = from ? parseDay(from, 'from') : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (start >= end) {
+    throw new AppError('INVALID_RANGE');
+  }
+  return { from: start, to: end };
+}
+
+const salesMatch = ({ from, to }) => ({
+  $match: { status: { $in: SALE_STATUSES }, date: { $gte: from, $lt: to } }
+});
+
+const round = value => Math.round(value * 100) / 100;
+
+// Ingresos y número de pedidos por día, semana (desde el lunes) o mes
+async function salesOverTime(range, groupBy = 'day') {
+  if (!GROUP_UNITS.includes(groupBy)) {
+    throw validationError([fieldError('groupBy', 'INVALID_ENUM', { values: GROUP_UNITS.join(', ') })]);
+  }
+
+  const rows = await Order.aggregate([
+    salesMatch(range),
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$date', unit: groupBy, timezone: TIMEZONE, startOfWeek: 'monday' } },
+        orders: { $sum: 1 },
+        subtotal: { $sum: '$subtotal' },
+        discount: { $sum: { $ifNull: ['$discount.amount', 0] } },
+        shipping: { $sum: '$shipping' },
+        revenue: { $sum: '$total' }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: { $dateToString: { date: '$_id', format: '%Y-%m-%d', timezone: TIMEZONE } },
+        orders: 1,
+        subtotal: 1,
+        discount: 1,
+        shipping: 1,
+        revenue: 1,
+        averageOrderValue: { $divide: ['$revenue', '$orders'] }
+      }
+    }
+  ]);
+
+  const totals = rows.reduce((sum, row) => ({
+    orders: sum.orders + row.orders,
+    subtotal: sum.subtotal + row.subtotal,
+    discount: sum.discount + row.discount,
+    shipping: sum.shipping + row.shipping,
+    revenue: sum.revenue + row.revenue
+  }), { orders: 0, subtotal: 0, discount: 0, shipping: 0, revenue: 0 });
+  totals.averageOrderValue = totals.orders > 0 ? round(totals.revenue / totals.orders) : 0;
+
+  return {
+    name: `ventas-por-${groupBy}`,
+    title: 'Ventas por período',
+    columns: [
+      { key: 'period', label: 'Período' },
+      { key: 'orders', label: 'Pedidos', type: 'number' },
+      { key: 'subtotal', label: 'Subtotal', type: 'currency' },
+      { key: 'discount', label: 'Descuentos', type: 'currency' },
+      { key: 'shipping', label: 'Envíos', type: 'currency' },
+      { key: 'revenue', label: 'Ingresos', type: 'currency' },
+      { key: 'averageOrderValue', label: 'Ticket promedio', type: 'currency' }
+    ],
+    rows: rows.map(row => ({ ...row, averageOrderValue: round(row.averageOrderValue) })),
+    totals: { period: 'Total', ...totals }
+  };
+}
+
+// Productos (o variantes talla/color) más vendidos por unidades
+async function topProducts(range, { by = 'product', limit = 10 } = {}) {
+  if (!['product', 'variant'].includes(by)) {
+    throw validationError([fieldError('by', 'INVALID_ENUM', { values: 'product, variant' })]);
+  }
+  const size = Math.min(Math.max(limit, 1), MAX_TOP_LIMIT);
+  const key = by === 'variant'
+    ? { productId: '$items.productId', size: '$items.size', color: '$items.color' }
+    : { productId: '$items.productId' };
+
+  const rows = await Order.aggregate([
+    salesMatch(range),
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: key,
+        name: { $last: '$items.name' },
+        units: { $sum: '$items.quantity' },
+        revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
+        orders: { $addToSet: '$_id' }
+      }
+    },
+    { $sort: { units: -1, revenue: -1 } },
+    { $limit: size },
+    {
+      $project: {
+        _id: 0,
+        productId: '$_id.productId',
+        size: { $ifNull: ['$_id.size', ''] },
+        color: { $ifNull: ['$_id.color', ''] },
+        name: 1,
+        units: 1,
+        revenue: 1,
+        orders: { $size: '$orders' }
+      }
+    }
+  ]);
+
+  const columns = [
+    { key: 'productId', label: 'Producto' },
+    { key: 'name', label: 'Nombre' },
+    ...(by === 'variant' ? [{ key: 'size', label: 'Talla' }, { key: 'color', label: 'Color' }] : []),
+    { key: 'units', label: 'Unidades', type: 'number' },
+    { key: 'orders', label: 'Pedidos', type: 'number' },
+    { key: 'revenue', label: 'Ingresos', type: 'currency' }
+  ];
+
+  return {
+    name: by === 'variant' ? 'variantes-mas-vendidas' : 'productos-mas-vendidos',
+    title: by === 'variant' ? 'Variantes más vendidas' : 'Productos más vendidos',
+    columns,
+    rows: by === 'variant' ? rows : rows.map(({ size: _size, color: _color, ...row }) => row),
+    totals: null
+  };
+}
+
+// Ventas por ciudad, o por ciudad y localidad, según la dirección de envío
+async function salesByLocation(range, by = 'city') {
+  if (!['city', 'district'].includes(by)) {
+    throw validationError([fieldError('by', 'INVALID_ENUM', { values: 'city, district' })]);
+  }
+  const key = by === 'district'
+    ? { city: '$customer.address.city', district: '$customer.address.district' }
+    : { city: '$customer.address.city' };
+
+  const groups = await Order.aggregate([
+    salesMatch(range),
+    { $group: { _id: key, orders: { $sum: 1 }, revenue: { $sum: '$total' } } },
+    { $sort: { orders: -1 } }
+  ]);
+
+  // La ciudad y la localidad las escribe el cliente: "Bogotá", "bogota" y " Bogotá " son el mismo
+  // lugar. Se agrupan normalizadas como las zonas de envío y se muestra la forma más usada
+  const places = new Map();
+  for (const { _id: place, orders, revenue } of groups) {
+    const placeKey = [place.city, place.district].map(ShippingZone.normalizePlace).join('|');
+    const row = places.get(placeKey);
+    if (row) {
+      row.orders += orders;
+      row.revenue += revenue;
+    } else {
+      places.set(placeKey, {
+        city: (place.city || '').trim(),
+        ...(by === 'district' && { district: (place.district || '').trim() }),
+        orders,
+        revenue
+      });
+    }
+  }
+  const rows = [...places.values()]
+    .map(row => ({ ...row, averageOrderValue: Math.round((row.revenue / row.orders) * 100) / 100 }))
+    .sort((a, b) => b.revenue - a.revenue);
+
+  return {
+    name: by === 'district' ? 'ventas-por-localidad' : 'ventas-por-ciudad',
+    title: by === 'district' ? 'Ventas por ciudad y localidad' : 'Ventas por ciudad',
+    columns: [
+      { key: 'city', label: 'Ciudad' },
+      ...(by === 'district' ? [{ key: 'district', label: 'Localidad' }] : []),
+      { key: 'orders', label: 'Pedidos', type: 'number' },
+      { key: 'revenue', label: 'Ingresos', type: 'currency' },
+      { key: 'averageOrderValue', label: 'Ticket promedio', type: 'currency' }
+    ],
+    rows,
+    totals: null
+  };
+}
+
+// Indicadores generales del período: pedidos, ingresos, ticket promedio y unidades vendidas
+async function salesSummary(range) {
+  const [summary] = await Order.aggregate([
+    salesMatch(range),
+    {
+      $group: {
+        _id: null,
+        orders: { $sum: 1 },
+        revenue: { $sum: '$total' },
+        discount: { $sum: { $ifNull: ['$discount.amount', 0] } },
+        units: { $sum: { $sum: '$items.quantity' } }
+      }
+    }
+  ]);
+
+  const row = {
+    from: formatDay(range.from),
+    to: formatDay(new Date(range.to.getTime() - 1)),
+    orders: summary?.orders || 0,
+    units: summary?.units || 0,
+    revenue: summary?.revenue || 0,
+    discount: summary?.discount || 0,
+    averageOrderValue: summary ? round(summary.revenue / summary.orders) : 0
+  };
+
+  return {
+    name: 'resumen-de-ventas',
+    title: 'Resumen de ventas',
+    columns: [
+      { key: 'from', label: 'Desde' },
+      { key: 'to', label: 'Hasta' },
+      { key: 'orders', label: 'Pedidos', type: 'number' },
+      { key: 'units', label: 'Unidades', type: 'number' },
+      { key: 'revenue', label: 'Ingresos', type: 'currency' },
+      { key: 'discount', label: 'Descuentos', type: 'currency' },
+      { key: 'averageOrderValue', label: 'Ticket promedio', type: 'currency' }
+    ],
+    rows: [row],
+    totals: null
+  };
+}
+
+// Valor del inventario actual a precio de venta, por variante (sin productos archivados)
+async function stockValuation() {
+  const rows = await Stock.aggregate([
+    { $lookup: { from: 'products', localField: 'productId', foreignField: 'id', as: 'product' } },
+    { $unwind: '$product' },
+    { $match: { 'product.archived': { $ne: true } } },
+    { $sort: { productId: 1, size: 1, color: 1 } },
+    {
+      $project: {
+        _id: 0,
+        productId: 1,
+        name: '$product.name',
+        category: '$product.category',
+        size: 1,
+        color: 1,
+        quantity: 1,
+        reserved: { $ifNull: ['$reserved', 0] },
+        price: '$product.price',
+        value: { $multiply: ['$quantity', '$product.price'] }
+      }
+    }
+  ]);
+
+  return {
+    name: 'valorizacion-de-inventario',
+    title: 'Valorización del inventario (precio de venta)',
+    columns: [
+      { key: 'productId', label: 'Producto' },
+      { key: 'name', label: 'Nombre' },
+      { key: 'category', label: 'Categoría' },
+      { key: 'size', label: 'Talla' },
+      { key: 'color', label: 'Color' },
+      { key: 'quantity', label: 'Unidades', type: 'number' },
+      { key: 'reserved', label: 'Reservadas', type: 'number' },
+      { key: 'price', label: 'Precio', type: 'currency' },
+      { key: 'value', label: 'Valor', type: 'currency' }
+    ],
+    rows,
+    totals: {
+      productId: 'Total',
+      quantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+      reserved: rows.reduce((sum, row) => sum + row.reserved, 0),
+      value: rows.reduce((sum, row) => sum + row.value, 0)
+    }
+  };
+}
+
+module.exports = {
+  parseRange,
+  formatDay,
+  salesOverTime,
+  topProducts,
+  salesByLocation,
+  salesSummary,
+  stockValuation,
+  SALE_STATUSES
+};
@@ -0,0 +1,117 @@
+// services/reservations.js
+// Reservas temporales de stock: las unidades reservadas se suman a Stock.reserved y nadie más
+// las puede comprar hasta que la reserva se convierte en pedido, se libera o vence.
+const Stock = require('../models/Stock');
+const Reservation = require('../models/Reservation');
+const { hasAvailable } = require('./stock');
+const { inTransaction } = require('../utils/transaction');
+
+const DEFAULT_RESERVATION_MINUTES = Number(process.env.RESERVATION_MINUTES) || 15;
+const MAX_RESERVATION_MINUTES = 60;
+
+const variantFilter = ({ productId, size, color }) => ({ productId, size, color });
+
+// Devuelve al stock disponible lo que tenía apartado la reserva (si seguía activa)
+async function finishReservation(reservation, status, session) {
+  const finished = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'active' },
+    { status },
+    { new: true, session }
+  );
+  if (!finished) return false;
+
+  await Stock.updateOne(
+    { ...variantFilter(finished), reserved: { $gte: finished.quantity } },
+    { $inc: { reserved: -finished.quantity } },
+    { session }
+  );
+  return true;
+}
+
+async function releaseUserReservations(userId, session) {
+  const active = await Reservation.find({ userId, status: 'active' }).session(session);
+  for (const reservation of active) {
+    await finishReservation(reservation, 'released', session);
+  }
+}
+
+/**
+ * Aparta las variantes indicadas durante `minutes` minutos. Reemplaza las reservas activas
+ * del usuario; si alguna variante no tiene unidades suficientes no se reserva nada.
+ * `lines` son variantes ya normalizadas: { productId, size, color, quantity }.
+ */
+async function reserveLines(userId, lines, minutes = DEFAULT_RESERVATION_MINUTES) {
+  const duration = Math.min(Math.max(minutes, 1), MAX_RESERVATION_MINUTES);
+  const expiresAt = new Date(Date.now() + duration * 60 * 1000);
+
+  return inTransaction(async (session) => {
+    await releaseUserReservations(userId, session);
+
+    const problems = [];
+    const reservations = [];
+    for (const line of lines) {
+      const stock = await Stock.findOneAndUpdate(
+        { ...variantFilter(line), ...hasAvailable(line.quantity) },
+        { $inc: { reserved: line.quantity } },
+        { new: true, session }
+      );
+      if (!stock) {
+        problems.push({ ...variantFilter(line), code: 'OUT_OF_STOCK' });
+        continue;
+      }
+      reservations.push({ userId, ...variantFilter(line), quantity: line.quantity, expiresAt });
+    }
+
+    // Abortar aquí deja intactas las reservas anteriores; withTransaction no intenta confirmar
+    if (problems.length > 0) {
+      await session.abortTransaction();
+      return { problems, reservations: [] };
+    }
+
+    const created = await Reservation.insertMany(reservations, { session });
+    return { problems, reservations: created, expiresAt };
+  });
+}
+
+async function releaseReservations(userId) {
+  await inTransaction(session => releaseUserReservations(userId, session));
+}
+
+// Al confirmar el pedido las reservas del usuario se liberan dentro de la misma transacción,
+// justo antes de descontar el stock definitivo
+async function convertUserReservations(userId, session) {
+  const active = await Reservation.find({ userId, status: 'active' }).session(session);
+  for (const reservation of active) {
+    await finishReservation(reservation, 'converted', session);
+  }
+}
+
+// Libera las reservas vencidas que no terminaron en pedido
+async function sweepExpiredReservations(limit = 100) {
+  const expired = await Reservation.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .limit(limit);
+
+  let released = 0;
+  for (const reservation of expired) {
+    if (await inTransaction(session => finishReservation(reservation, 'released', session))) {
+      released++;
+    }
+  }
+  return released;
+}
+
+function startReservationSweeper(intervalMs = 60 * 1000) {
+  const timer = setInterval(() => {
+    sweepExpiredReservations().catch(error => console.error('Error liberando reservas vencidas:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  reserveLines,
+  releaseReservations,
+  convertUserReservations,
+  sweepExpiredReservations,
+  startReservationSweeper
+};
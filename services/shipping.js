@@ -0,0 +1,153 @@
+// services/shipping.js
+// Cálculo del costo de envío según la zona (ciudad/barrio) de la dirección del cliente
+const Product = require('../models/Product');
+const ShippingZone = require('../models/ShippingZone');
+const { AppError } = require('../utils/errors');
+const { validateSchema, optionalFields, fieldError } = require('../utils/validation');
+
+const DEFAULT_ZONE = '*';
+const RATE_TYPES = ['flat', 'per_item', 'per_kg'];
+const DEFAULT_SHIPPING_RATE = Number(process.env.DEFAULT_SHIPPING_RATE) || 15000;
+
+// Esquema de una zona nueva; al actualizar todos los campos son opcionales
+const ZONE_SCHEMA = {
+  name: { type: 'string', required: true, trim: true },
+  city: { type: 'string', required: true, trim: true },
+  district: { type: 'string' },
+  rateType: { type: 'string', enum: RATE_TYPES },
+  baseRate: { type: 'number', required: true, min: 0 },
+  rate: { type: 'number', min: 0 },
+  freeShippingThreshold: { type: 'number', min: 0, nullable: true },
+  active: { type: 'boolean' }
+};
+const ZONE_UPDATE_SCHEMA = optionalFields(ZONE_SCHEMA);
+
+/**
+ * Valida el cuerpo de creación (o de actualización si `existing` viene) de una zona de envío.
+ * `freeShippingThreshold: null` quita el envío gratis de la zona.
+ */
+function validateZonePayload(body, existing = null) {
+  const errors = validateSchema(body, existing ? ZONE_UPDATE_SCHEMA : ZONE_SCHEMA);
+  if (errors.length > 0) return { errors, value: {} };
+
+  const value = Object.fromEntries(Object.entries(body).map(([field, fieldValue]) =>
+    [field, typeof fieldValue === 'string' ? fieldValue.trim() : fieldValue]));
+
+  const rateType = value.rateType || existing?.rateType || 'flat';
+  const rate = value.rate ?? existing?.rate ?? 0;
+  if (rateType !== 'flat' && rate <= 0) {
+    errors.push(fieldError('rate', 'RATE_REQUIRED'));
+  }
+
+  return { errors, value };
+}
+
+// Zona más específica para la dirección: ciudad + barrio, luego solo ciudad, luego la zona por defecto
+async function findZone(address = {}) {
+  const cityKey = ShippingZone.normalizePlace(address.city);
+  const districtKey = ShippingZone.normalizePlace(address.district);
+
+  const zones = await ShippingZone.find({
+    active: true,
+    $or: [
+      { cityKey, districtKey },
+      { cityKey, districtKey: '' },
+      { cityKey: DEFAULT_ZONE }
+    ]
+  }).lean();
+
+  return zones.find(zone => zone.cityKey === cityKey && zone.districtKey === districtKey && districtKey)
+    || zones.find(zone => zone.cityKey === cityKey && !zone.districtKey)
+    || zones.find(zone => zone.cityKey === DEFAULT_ZONE)
+    || null;
+}
+
+/**
+ * Crea la zona por defecto (ciudad '*') si no existe, para que una instalación nueva pueda
+ * cotizar envíos. Nunca la modifica: para dejar de cubrir el resto del país se desactiva
+ * (`active: false`), porque si se borra se vuelve a crear al arrancar.
+ */
+async function ensureDefaultZone() {
+  await ShippingZone.updateOne(
+    { cityKey: DEFAULT_ZONE, districtKey: '' },
+    {
+      $setOnInsert: {
+        name: 'Resto del país',
+        city: DEFAULT_ZONE,
+        cityKey: DEFAULT_ZONE,
+        districtKey: '',
+        baseRate: DEFAULT_SHIPPING_RATE
+      }
+    },
+    { upsert: true }
+  );
+}
+
+function calculateShipping(zone, { subtotal, quantity, weight }) {
+  if (zone.freeShippingThreshold !== undefined && zone.freeShippingThreshold !== null
+    && subtotal >= zone.freeShippingThreshold) {
+    return 0;
+  }
+
+  switch (zone.rateType) {
+    case 'per_item':
+      return zone.baseRate + zone.rate * quantity;
+    case 'per_kg':
+      return zone.baseRate + zone.rate * Math.ceil(weight / 1000);
+    default:
+      return zone.baseRate;
+  }
+}
+
+/**
+ * Cotiza el envío de unas líneas ya valoradas: [{ price, quantity, weight }] (peso en gramos).
+ * Lanza NO_SHIPPING_COVERAGE (422) si no hay cobertura para la dirección.
+ */
+async function quoteShipping(address, lines) {
+  const zone = await findZone(address);
+  if (!zone) {
+    throw new AppError('NO_SHIPPING_COVERAGE', 422);
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  const quantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const weight = lines.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0);
+  const shipping = calculateShipping(zone, { subtotal, quantity, weight });
+
+  const threshold = zone.freeShippingThreshold;
+  return {
+    zone: zone.name,
+    shipping,
+    subtotal,
+    freeShippingThreshold: threshold ?? null,
+    missingForFreeShipping: threshold != null && shipping > 0 ? Math.max(threshold - subtotal, 0) : 0
+  };
+}
+
+// Cotización a partir de ids de producto y cantidades, como la pide el frontend
+async function quoteForItems(address, items) {
+  const ids = [...new Set(items.map(item => item.id))];
+  const products = new Map(
+    (await Product.find({ id: { $in: ids }, archived: { $ne: true } }).lean())
+      .map(product => [product.id, product])
+  );
+
+  const missing = ids.filter(id => !products.has(id));
+  if (missing.length > 0) {
+    throw new AppError('PRODUCTS_NOT_FOUND', 400, { params: { ids: missing.join(', ') } });
+  }
+
+  return quoteShipping(address, items.map(item => {
+    const product = products.get(item.id);
+    return { price: product.price, quantity: item.quantity, weight: product.weight };
+  }));
+}
+
+module.exports = {
+  quoteShipping,
+  quoteForItems,
+  findZone,
+  validateZonePayload,
+  ensureDefaultZone,
+  DEFAULT_ZONE
+};
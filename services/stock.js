@@ -0,0 +1,267 @@
+// services/stock.js
+// Acceso al stock por variante (colección Stock) y conversión de los formatos legados de Product.stock
+const Stock = require('../models/Stock');
+const { recordMovement } = require('./stockMovements');
+const { AppError } = require('../utils/errors');
+
+/**
+ * Normaliza la talla/color recibidos según el tipo de producto, tal como se guardan en Stock:
+ * - clothing: talla y color obligatorios
+ * - accessory: una sola variante sin talla ni color
+ * - gloves/kneepads: talla en mayúsculas ('UNICA' si no viene), sin color
+ * Devuelve null si faltan datos para identificar la variante.
+ */
+function normalizeVariant(productType, { size, color } = {}) {
+  switch (productType) {
+    case 'clothing':
+      if (!size || !color) return null;
+      return { size: String(size), color: String(color) };
+    case 'accessory':
+      return { size: '', color: '' };
+    case 'gloves':
+    case 'kneepads':
+      return { size: size ? String(size).toUpperCase() : 'UNICA', color: '' };
+    default:
+      return { size: size || '', color: color || '' };
+  }
+}
+
+// Clave con la que se expone cada variante: "M-Rojo", "M" o "default"
+function variantKey({ size, color }) {
+  if (size && color) return `${size}-${color}`;
+  return size || 'default';
+}
+
+// Unidades que todavía se pueden vender: las apartadas en carritos no cuentan
+const availableQuantity = stock => stock.quantity - (stock.reserved || 0);
+
+/**
+ * Convierte documentos Stock al formato { [clave]: { quantity } } que consume el frontend.
+ * Por defecto `quantity` es la cantidad disponible; con `available: false` es la física.
+ */
+function formatStock(stocks, { available = true } = {}) {
+  const formatted = {};
+  for (const stock of stocks) {
+    formatted[variantKey(stock)] = { quantity: available ? availableQuantity(stock) : stock.quantity };
+  }
+  return formatted;
+}
+
+async function getProductStock(productId) {
+  const stocks = await Stock.find({ productId }).lean();
+  return formatStock(stocks);
+}
+
+// Filtro de Mongo: la variante tiene al menos `quantity` unidades sin apartar
+const hasAvailable = quantity => ({
+  $expr: { $gte: [{ $subtract: ['$quantity', { $ifNull: ['$reserved', 0] }] }, quantity] }
+});
+
+/**
+ * Descuenta `quantity` unidades de la variante de forma atómica, sin tocar las apartadas
+ * en reservas de otros clientes (nunca deja stock negativo), y lo anota en el libro de movimientos.
+ * Devuelve null si se pudo descontar o el código del error en caso contrario
+ * (VARIANT_REQUIRED, OUT_OF_STOCK o STOCK_UPDATE_FAILED).
+ */
+async function decrementStock(product, { size, color, quantity }, session, movement = { type: 'sale' }) {
+  const variant = normalizeVariant(product.productType, { size, color });
+  if (!variant) {
+    return 'VARIANT_REQUIRED';
+  }
+
+  const filter = { productId: product.id, ...variant };
+  const updated = await Stock.findOneAndUpdate(
+    { ...filter, ...hasAvailable(quantity) },
+    { $inc: { quantity: -quantity } },
+    { new: true, session }
+  );
+
+  if (updated) {
+    await recordMovement(updated, -quantity, movement, session);
+    return null;
+  }
+
+  const exists = await Stock.exists(filter).session(session || null);
+  return exists ? 'OUT_OF_STOCK' : 'STOCK_UPDATE_FAILED';
+}
+
+/**
+ * Suma `delta` unidades a una variante ya normalizada (resta si es negativo) y lo anota en el
+ * libro de movimientos con el motivo de `movement` ({ type, reference, note, userId }).
+ * Al reponer crea la variante si no existía; al restar devuelve null si el stock quedaría negativo
+ * o por debajo de lo reservado.
+ */
+async function adjustStock(product, variant, delta, session, movement) {
+  const filter = { productId: product.id, ...variant };
+
+  const stock = delta > 0
+    ? await Stock.findOneAndUpdate(
+      filter,
+      { $inc: { quantity: delta } },
+      { new: true, upsert: true, session }
+    )
+    : await Stock.findOneAndUpdate(
+      { ...filter, ...hasAvailable(-delta) },
+      { $inc: { quantity: delta } },
+      { new: true, session }
+    );
+
+  if (stock) {
+    await recordMovement(stock, delta, movement, session);
+  }
+  return stock;
+}
+
+/**
+ * Deja al producto exactamente con las variantes indicadas: actualiza la cantidad de las que ya
+ * existen (conservando lo reservado), crea las nuevas y borra las que ya no están.
+ * Cada diferencia queda en el libro de movimientos con el motivo de `movement`.
+ * Falla con 409 STOCK_BELOW_RESERVED si una cantidad queda por debajo de lo reservado en carritos
+ * o si se quita una variante con reservas (la lectura y la escritura van en la misma transacción).
+ */
+async function replaceProductStock(productId, variants, session, movement) {
+  const current = await Stock.find({ productId }).session(session || null).lean();
+  const previous = new Map(current.map(stock => [variantKey(stock), stock]));
+
+  const problems = [];
+  const kept = new Set();
+  for (const variant of variants) {
+    const before = previous.get(variantKey(variant));
+    kept.add(variantKey(variant));
+    if (before?.reserved > variant.quantity) {
+      problems.push({ id: productId, size: variant.size, color: variant.color, code: 'BELOW_RESERVED', params: { reserved: before.reserved } });
+    }
+  }
+  for (const stock of current) {
+    if (!kept.has(variantKey(stock)) && stock.reserved > 0) {
+      problems.push({ id: productId, size: stock.size, color: stock.color, code: 'VARIANT_RESERVED', params: { reserved: stock.reserved } });
+    }
+  }
+  if (problems.length > 0) {
+    throw new AppError('STOCK_BELOW_RESERVED', 409, { details: problems });
+  }
+
+  const removed = variants.length > 0
+    ? { productId, $nor: variants.map(({ size, color }) => ({ size, color })) }
+    : { productId };
+  await Stock.deleteMany(removed, { session });
+
+  if (variants.length > 0) {
+    await Stock.bulkWrite(variants.map(({ size, color, quantity }) => ({
+      updateOne: {
+        filter: { productId, size, color },
+        update: { $set: { quantity } },
+        upsert: true
+      }
+    })), { session });
+  }
+
+  for (const variant of variants) {
+    const before = previous.get(variantKey(variant));
+    previous.delete(variantKey(variant));
+    await recordMovement(
+      { ...before, productId, size: variant.size, color: variant.color, quantity: variant.quantity },
+      variant.quantity - (before?.quantity || 0),
+      movement,
+      session
+    );
+  }
+  // Las variantes que ya no existen salen del inventario con todas sus unidades (sin aviso de stock bajo)
+  for (const stock of previous.values()) {
+    await recordMovement({ ...stock, quantity: 0, lowStockThreshold: 0 }, -stock.quantity, movement, session);
+  }
+}
+
+function toQuantity(value) {
+  const quantity = typeof value === 'object' && value !== null ? value.quantity : value;
+  return Number.isFinite(quantity) && quantity >= 0 ? quantity : null;
+}
+
+/**
+ * Interpreta cualquiera de los formatos legados de Product.stock:
+ * - clothing: { "M-Rojo": { quantity } }
+ * - accessory: número o { default: { quantity } }
+ * - gloves/kneepads: [{ size | talla, quantity }], { M: { quantity } | número } o número
+ * Devuelve las variantes reconocidas y una lista de problemas con lo que no se pudo interpretar.
+ */
+function legacyStockToVariants(productType, stock) {
+  const variants = new Map();
+  const problems = [];
+
+  const add = (variant, value, source) => {
+    const quantity = toQuantity(value);
+    if (!variant) {
+      problems.push(`Variante no reconocida: ${source}`);
+      return;
+    }
+    if (quantity === null) {
+      problems.push(`Cantidad inválida en ${source}: ${JSON.stringify(value)}`);
+      return;
+    }
+    const key = variantKey(variant);
+    if (variants.has(key)) {
+      problems.push(`Variante repetida ${key}: se sumaron las cantidades`);
+      variants.get(key).quantity += quantity;
+      return;
+    }
+    variants.set(key, { ...variant, quantity });
+  };
+
+  switch (productType) {
+    case 'clothing':
+      if (!stock || typeof stock !== 'object' || Array.isArray(stock)) {
+        problems.push(`Formato de stock no soportado para clothing: ${JSON.stringify(stock)}`);
+        break;
+      }
+      for (const [key, value] of Object.entries(stock)) {
+        const separator = key.indexOf('-');
+        const size = value?.size ?? (separator > 0 ? key.slice(0, separator) : null);
+        const color = value?.color ?? (separator > 0 ? key.slice(separator + 1) : null);
+        add(normalizeVariant(productType, { size, color }), value, key);
+      }
+      break;
+    case 'accessory':
+      if (typeof stock === 'number') {
+        add(normalizeVariant(productType), stock, 'stock');
+      } else if (stock && typeof stock === 'object' && 'default' in stock) {
+        add(normalizeVariant(productType), stock.default, 'default');
+      } else {
+        problems.push(`Formato de stock no soportado para accessory: ${JSON.stringify(stock)}`);
+      }
+      break;
+    case 'gloves':
+    case 'kneepads':
+      if (Array.isArray(stock)) {
+        stock.forEach((item, index) => {
+          const size = item?.size || item?.talla;
+          add(normalizeVariant(productType, { size }), item, `posición ${index}`);
+        });
+      } else if (stock && typeof stock === 'object') {
+        for (const [size, value] of Object.entries(stock)) {
+          add(normalizeVariant(productType, { size }), value, size);
+        }
+      } else if (typeof stock === 'number') {
+        add(normalizeVariant(productType), stock, 'stock');
+      } else {
+        problems.push(`Formato de stock no soportado para ${productType}: ${JSON.stringify(stock)}`);
+      }
+      break;
+    default:
+      problems.push(`Tipo de producto desconocido: ${productType}`);
+  }
+
+  return { variants: [...variants.values()], problems };
+}
+
+module.exports = {
+  normalizeVariant,
+  variantKey,
+  availableQuantity,
+  hasAvailable,
+  formatStock,
+  getProductStock,
+  decrementStock,
+  adjustStock,
+  replaceProductStock,
+  legacyStockToVariants
+};
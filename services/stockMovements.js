@@ -0,0 +1,87 @@
+// services/stockMovements.js
+// Registro de cada cambio de inventario y aviso al personal cuando una variante queda con poco stock
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const User = require('../models/User');
+const { registerEmailType, enqueueEmail } = require('./outbox');
+const { renderEmail } = require('./templates');
+
+const DEFAULT_LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 3;
+const MAX_PAGE_SIZE = 100;
+
+const lowStockThreshold = stock => stock.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+
+// Destinatarios: LOW_STOCK_EMAILS (separados por coma) o todo el personal
+async function staffRecipients() {
+  if (process.env.LOW_STOCK_EMAILS) {
+    return process.env.LOW_STOCK_EMAILS.split(',').map(email => email.trim()).filter(Boolean);
+  }
+  const staff = await User.find({ role: { $in: ['staff', 'admin'] } }, { email: 1 }).lean();
+  return staff.map(user => user.email);
+}
+
+registerEmailType('low-stock', async (payload) => {
+  const to = await staffRecipients();
+  if (to.length === 0) {
+    throw new Error('No hay destinatarios para la alerta de stock bajo');
+  }
+
+  const product = await Product.findOne({ id: payload.productId }, { name: 1 }).lean();
+  const data = { ...payload, name: product?.name || payload.productId };
+  return {
+    to: to.join(', '),
+    subject: `Stock bajo: ${data.name}${payload.size ? ` ${payload.size}` : ''}${payload.color ? ` ${payload.color}` : ''}`,
+    ...renderEmail('low-stock', data)
+  };
+});
+
+/**
+ * Agrega al libro el movimiento que dejó la variante `stock` (documento ya actualizado) con
+ * `delta` unidades de diferencia. Si la variante acaba de bajar del mínimo se encola el aviso
+ * en la misma transacción. `movement` es { type, reference, note, userId }.
+ */
+async function recordMovement(stock, delta, movement, session) {
+  if (delta === 0) return null;
+
+  const [entry] = await StockMovement.create([{
+    productId: stock.productId,
+    size: stock.size,
+    color: stock.color,
+    type: movement.type,
+    quantity: delta,
+    balance: stock.quantity,
+    reference: movement.reference,
+    note: movement.note,
+    userId: movement.userId
+  }], { session });
+
+  const threshold = lowStockThreshold(stock);
+  const previous = stock.quantity - delta;
+  if (delta < 0 && previous >= threshold && stock.quantity < threshold) {
+    await enqueueEmail('low-stock', {
+      productId: stock.productId,
+      size: stock.size,
+      color: stock.color,
+      quantity: stock.quantity,
+      threshold,
+      type: movement.type,
+      reference: movement.reference
+    }, session);
+  }
+
+  return entry;
+}
+
+// Historial de una variante, del más reciente al más antiguo (`before` pagina por fecha)
+async function getMovements({ productId, size = '', color = '' }, { limit = 50, before } = {}) {
+  const filter = { productId, size, color };
+  if (before) {
+    filter.createdAt = { $lt: before };
+  }
+  return StockMovement.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(limit, 1), MAX_PAGE_SIZE))
+    .lean();
+}
+
+module.exports = { recordMovement, getMovements, lowStockThreshold, DEFAULT_LOW_STOCK_THRESHOLD };
@@ -0,0 +1,41 @@
+// services/templates.js
+// Plantillas de correo (Handlebars escapa el HTML de todos los valores interpolados con {{ }})
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { formatNumber } = require('../utils/format');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'emails');
+
+const handlebars = Handlebars.create();
+
+handlebars.registerHelper('currency', (num) => `$${formatNumber(num)}`);
+handlebars.registerHelper('multiply', (a, b) => a * b);
+handlebars.registerHelper('longDate', (date) => new Date(date).toLocaleDateString('es-CO', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+}));
+
+const cache = new Map();
+
+function compile(file, options) {
+  if (!cache.has(file)) {
+    const source = fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8');
+    cache.set(file, handlebars.compile(source, { strict: false, ...options }));
+  }
+  return cache.get(file);
+}
+
+// Renderiza la versión HTML y la de texto plano de un correo
+function renderEmail(name, data) {
+  return {
+    html: compile(`${name}.html.hbs`)(data),
+    // En texto plano no tiene sentido escapar entidades HTML
+    text: compile(`${name}.txt.hbs`, { noEscape: true })(data)
+  };
+}
+
+module.exports = { renderEmail };
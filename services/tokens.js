@@ -0,0 +1,104 @@
+// services/tokens.js
+// Emisión, rotación y revocación de access/refresh tokens
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = user =>
+  jwt.sign(
+    { userId: user._id, role: user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+
+// Emite un par access/refresh nuevo para el dispositivo que hace la petición
+// (o para `device`, el de la sesión que se está renovando)
+async function issueTokens(user, req, { device } = {}) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    device: device || req.body?.device || req.get('user-agent') || '',
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { token: signAccessToken(user), refreshToken };
+}
+
+/**
+ * Cambia un refresh token válido por un par nuevo (el anterior queda revocado).
+ * Si se presenta un token ya revocado se asume que fue robado y se cierran todas
+ * las sesiones del usuario. Devuelve null si el token no sirve.
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  if (typeof refreshToken !== 'string' || !refreshToken) return null;
+
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // El token se revoca de forma atómica antes de emitir el par nuevo: de dos renovaciones
+  // simultáneas con el mismo token solo una lo consigue y la otra cuenta como reutilización
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    const stored = await RefreshToken.findOne({ tokenHash }).lean();
+    if (stored?.revokedAt && stored.expiresAt > now) {
+      await revokeAllSessions(stored.userId);
+    }
+    return null;
+  }
+
+  const user = await User.findById(claimed.userId);
+  if (!user) return null;
+
+  const tokens = await issueTokens(user, req, { device: claimed.device });
+  await RefreshToken.updateOne({ _id: claimed._id }, { replacedBy: hashToken(tokens.refreshToken) });
+
+  return { user, tokens };
+}
+
+async function revokeRefreshToken(refreshToken, userId) {
+  if (typeof refreshToken !== 'string' || !refreshToken) return;
+
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(refreshToken), userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+}
+
+// Agrega el access token a la lista de revocados hasta su expiración natural
+async function revokeAccessToken(jti, exp) {
+  if (!jti) return;
+
+  await RevokedToken.updateOne(
+    { jti },
+    { $setOnInsert: { expiresAt: new Date(exp * 1000) } },
+    { upsert: true }
+  );
+}
+
+async function revokeAllSessions(userId) {
+  await RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+  await User.updateOne({ _id: userId }, { sessionsValidFrom: new Date() });
+}
+
+module.exports = {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllSessions
+};
@@ -0,0 +1,214 @@
+// test/auth.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { hashToken } = require('../services/tokens');
+const { start, stop, reset, request, register, loginAs, waitForMail, sentMail } = require('./helpers');
+
+describe('autenticación', () => {
+  before(start);
+  after(stop);
+  beforeEach(reset);
+
+  it('valida el correo y la contraseña del registro', async () => {
+    const { status, body } = await request('POST', '/api/register', { body: { email: 'no-es-correo', password: '123' } });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(body.details.map(detail => [detail.field, detail.code]), [
+      ['email', 'INVALID_EMAIL'],
+      ['password', 'TOO_SHORT']
+    ]);
+  });
+
+  it('responde los errores en inglés con ?lang=en o Accept-Language', async () => {
+    const byQuery = await request('POST', '/api/register?lang=en', { body: {} });
+    assert.equal(byQuery.body.message, 'Invalid data');
+    assert.equal(byQuery.body.details[0].message, 'This field is required');
+
+    const byHeader = await request('GET', '/api/no-existe', { headers: { 'Accept-Language': 'en-US,en;q=0.9' } });
+    assert.equal(byHeader.status, 404);
+    assert.equal(byHeader.body.code, 'ROUTE_NOT_FOUND');
+    assert.equal(byHeader.body.message, 'Route not found');
+  });
+
+  it('responde JSON inválido con 400 en lugar de un error del servidor', async () => {
+    const { status, body } = await request('POST', '/api/login', { body: '{"email":' });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_JSON');
+  });
+
+  it('registra, pide verificar el correo, inicia sesión y devuelve el usuario autenticado', async () => {
+    const credentials = { email: 'nuevo@example.com', password: 'una-clave-larga' };
+
+    const created = await request('POST', '/api/register', { body: credentials });
+    assert.equal(created.status, 201);
+
+    const repeated = await request('POST', '/api/register', { body: credentials });
+    assert.equal(repeated.status, 400);
+    assert.equal(repeated.body.code, 'USER_EXISTS');
+
+    const unverified = await request('POST', '/api/login', { body: credentials });
+    assert.equal(unverified.status, 403);
+    assert.equal(unverified.body.code, 'EMAIL_NOT_VERIFIED');
+
+    const forged = await request('POST', '/api/verify-email', { body: { token: 'no.es.un.token' } });
+    assert.equal(forged.body.code, 'VERIFICATION_LINK_INVALID');
+
+    const mail = await waitForMail(message => message.to === credentials.email);
+    const token = mail.html.match(/token=([^"&]+)/)[1];
+    const verified = await request('POST', '/api/verify-email', { body: { token } });
+    assert.equal(verified.status, 200);
+
+    const login = await request('POST', '/api/login', { body: credentials });
+    assert.equal(login.status, 200);
+    assert.ok(login.body.token);
+    assert.ok(login.body.refreshToken);
+    assert.equal(login.body.role, 'customer');
+
+    const me = await request('GET', '/api/user', { token: login.body.token });
+    assert.deepEqual(me.body, { email: 'nuevo@example.com', role: 'customer' });
+  });
+
+  it('deja entrar a las cuentas anteriores a la verificación y reenvía el enlace a las pendientes', async () => {
+    const { email } = await loginAs('customer');
+    await User.updateOne({ email }, { $unset: { emailVerified: 1 } });
+    const legacy = await request('POST', '/api/login', { body: { email, password: 'secreto-seguro' } });
+    assert.equal(legacy.status, 200);
+
+    await request('POST', '/api/register', { body: { email: 'pendiente@example.com', password: 'una-clave-larga' } });
+    await request('POST', '/api/resend-verification', { body: { email: 'pendiente@example.com' } });
+    const unknown = await request('POST', '/api/resend-verification', { body: { email } });
+    const pending = await request('POST', '/api/resend-verification', { body: { email: 'pendiente@example.com' } });
+    assert.deepEqual(unknown.body, pending.body);
+    // Los correos salen en segundo plano: se espera al tercero (registro y dos reenvíos)
+    await waitForMail(() => sentMail.length === 3);
+    assert.deepEqual(sentMail.map(message => message.to), Array(3).fill('pendiente@example.com'));
+  });
+
+  it('rechaza credenciales inválidas y tokens ausentes o falsos', async () => {
+    const { email } = await loginAs('customer');
+
+    const wrong = await request('POST', '/api/login', { body: { email, password: 'otra-clave' } });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+
+    // Un correo sin cuenta responde igual que una contraseña incorrecta
+    const unknown = await request('POST', '/api/login', { body: { email: 'nadie@example.com', password: 'otra-clave' } });
+    assert.deepEqual([unknown.status, unknown.body.code], [400, 'INVALID_CREDENTIALS']);
+
+    const missing = await request('GET', '/api/user');
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'UNAUTHORIZED');
+
+    const forged = await request('GET', '/api/user', { token: 'no.es.un.token' });
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.code, 'TOKEN_INVALID');
+  });
+
+  it('rota el refresh token y revoca el access token al cerrar sesión', async () => {
+    const credentials = { email: 'rotar@example.com', password: 'una-clave-larga' };
+    await register(credentials);
+    const login = await request('POST', '/api/login', { body: { ...credentials, device: 'Portátil de la tienda' } });
+
+    const refreshed = await request('POST', '/api/token/refresh', { body: { refreshToken: login.body.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, login.body.refreshToken);
+    // La sesión renovada conserva el nombre del dispositivo con que se inició
+    const rotated = await RefreshToken.findOne({ tokenHash: hashToken(refreshed.body.refreshToken) }).lean();
+    assert.equal(rotated.device, 'Portátil de la tienda');
+
+    const reused = await request('POST', '/api/token/refresh', { body: { refreshToken: login.body.refreshToken } });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'SESSION_EXPIRED');
+
+    // Reusar un refresh token cierra todas las sesiones, así que se inicia una nueva
+    const { token } = (await request('POST', '/api/login', { body: credentials })).body;
+    const logout = await request('POST', '/api/logout', { token, body: {} });
+    assert.equal(logout.status, 200);
+
+    const afterLogout = await request('GET', '/api/user', { token });
+    assert.equal(afterLogout.status, 401);
+  });
+
+  it('de dos renovaciones simultáneas con el mismo refresh token solo una lo consigue', async () => {
+    const credentials = { email: 'carrera@example.com', password: 'una-clave-larga' };
+    await register(credentials);
+    const { refreshToken } = (await request('POST', '/api/login', { body: credentials })).body;
+
+    const results = await Promise.all([1, 2].map(() =>
+      request('POST', '/api/token/refresh', { body: { refreshToken } })));
+    assert.deepEqual(results.map(result => result.status).sort(), [200, 401]);
+  });
+
+  it('restablece la contraseña con el enlace enviado por correo', async () => {
+    const credentials = { email: 'olvido@example.com', password: 'clave-anterior' };
+    await register(credentials);
+    sentMail.length = 0;
+
+    const unknown = await request('POST', '/api/forgot-password', { body: { email: 'nadie@example.com' } });
+    assert.equal(unknown.status, 200);
+
+    const known = await request('POST', '/api/forgot-password', { body: { email: credentials.email } });
+    assert.deepEqual(known.body, unknown.body);
+    const mail = await waitForMail(message => /Restablece/.test(message.subject));
+    assert.equal(mail.to, credentials.email);
+    assert.equal(sentMail.length, 1);
+    const token = mail.html.match(/token=([^"&]+)/)[1];
+
+    const tooShort = await request('POST', '/api/reset-password', { body: { token, password: 'corta' } });
+    assert.equal(tooShort.status, 400);
+    assert.equal(tooShort.body.details[0].field, 'password');
+
+    const reset = await request('POST', '/api/reset-password', { body: { token, password: 'clave-nueva-123' } });
+    assert.equal(reset.status, 200);
+
+    const reused = await request('POST', '/api/reset-password', { body: { token, password: 'otra-clave-456' } });
+    assert.equal(reused.body.code, 'RESET_LINK_INVALID');
+
+    const oldLogin = await request('POST', '/api/login', { body: credentials });
+    assert.equal(oldLogin.body.code, 'INVALID_CREDENTIALS');
+    const newLogin = await request('POST', '/api/login', { body: { ...credentials, password: 'clave-nueva-123' } });
+    assert.equal(newLogin.status, 200);
+  });
+
+  it('cambia la contraseña con la actual y cierra las demás sesiones', async () => {
+    const credentials = { email: 'cambio@example.com', password: 'clave-anterior' };
+    await register(credentials);
+    const other = (await request('POST', '/api/login', { body: credentials })).body;
+    const current = (await request('POST', '/api/login', { body: credentials })).body;
+
+    const wrong = await request('POST', '/api/change-password', {
+      token: current.token,
+      body: { currentPassword: 'no-es-esta', newPassword: 'clave-nueva-123' }
+    });
+    assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+
+    const changed = await request('POST', '/api/change-password', {
+      token: current.token,
+      body: { currentPassword: credentials.password, newPassword: 'clave-nueva-123' }
+    });
+    assert.equal(changed.status, 200);
+    assert.equal((await request('GET', '/api/user', { token: changed.body.token })).status, 200);
+    assert.equal((await request('GET', '/api/user', { token: current.token })).status, 401);
+    const otherRefresh = await request('POST', '/api/token/refresh', { body: { refreshToken: other.refreshToken } });
+    assert.equal(otherRefresh.status, 401);
+
+    const oldLogin = await request('POST', '/api/login', { body: credentials });
+    assert.equal(oldLogin.body.code, 'INVALID_CREDENTIALS');
+  });
+
+  it('elimina la cuenta confirmando la contraseña', async () => {
+    const { token, email } = await loginAs('customer');
+
+    const wrong = await request('DELETE', '/api/account', { token, body: { password: 'otra-clave' } });
+    assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+
+    const deleted = await request('DELETE', '/api/account', { token, body: { password: 'secreto-seguro' } });
+    assert.equal(deleted.status, 200);
+    assert.equal(await User.countDocuments({ email }), 0);
+    assert.equal((await request('GET', '/api/user', { token })).status, 401);
+  });
+});
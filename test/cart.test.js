@@ -0,0 +1,100 @@
+// test/cart.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Stock = require('../models/Stock');
+const Reservation = require('../models/Reservation');
+const { sweepExpiredReservations } = require('../services/reservations');
+const { start, stop, reset, request, loginAs, createProduct } = require('./helpers');
+
+const reservedOf = async (productId, size = '', color = '') =>
+  (await Stock.findOne({ productId, size, color }).lean()).reserved;
+
+describe('carrito y reservas', () => {
+  let customer;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    customer = await loginAs('customer');
+    await createProduct({ id: 'camiseta', price: 50000, variants: [{ size: 'M', color: 'Rojo', quantity: 3 }] });
+    await createProduct({ id: 'gorra', productType: 'accessory', price: 20000, variants: [{ quantity: 2 }] });
+  });
+
+  const addItem = (body, token = customer.token) => request('POST', '/api/cart/items', { token, body });
+
+  it('agrega, suma, cambia y quita líneas del carrito', async () => {
+    await addItem({ id: 'camiseta', size: 'M', color: 'Rojo', quantity: 1 });
+    const added = await addItem({ id: 'camiseta', size: 'M', color: 'Rojo', quantity: 1 });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.items.length, 1);
+    assert.equal(added.body.items[0].quantity, 2);
+    assert.equal(added.body.subtotal, 100000);
+
+    const itemId = added.body.items[0]._id;
+    const changed = await request('PATCH', `/api/cart/items/${itemId}`, { token: customer.token, body: { quantity: 3 } });
+    assert.equal(changed.body.items[0].quantity, 3);
+    assert.equal(changed.body.items[0].inStock, true);
+
+    const removed = await request('DELETE', `/api/cart/items/${itemId}`, { token: customer.token });
+    assert.deepEqual(removed.body, { items: [], subtotal: 0 });
+  });
+
+  it('no deja pasar del stock disponible ni tocar líneas que no existen', async () => {
+    const tooMany = await addItem({ id: 'gorra', quantity: 3 });
+    assert.equal(tooMany.status, 409);
+    assert.equal(tooMany.body.code, 'OUT_OF_STOCK');
+
+    const unknown = await addItem({ id: 'no-existe', quantity: 1 });
+    assert.equal(unknown.status, 404);
+
+    const noVariant = await addItem({ id: 'camiseta', quantity: 1 });
+    assert.equal(noVariant.body.code, 'VARIANT_REQUIRED');
+
+    const badId = await request('PATCH', '/api/cart/items/no-es-un-id', { token: customer.token, body: { quantity: 1 } });
+    assert.equal(badId.status, 404);
+    assert.equal(badId.body.code, 'CART_ITEM_NOT_FOUND');
+
+    const anonymous = await request('GET', '/api/cart');
+    assert.equal(anonymous.status, 401);
+  });
+
+  it('reserva el carrito, lo aparta de otros clientes y lo libera', async () => {
+    await addItem({ id: 'gorra', quantity: 2 });
+    const reserved = await request('POST', '/api/cart/reserve', { token: customer.token, body: { minutes: 5 } });
+    assert.equal(reserved.status, 201);
+    assert.equal(reserved.body.reservations.length, 1);
+    assert.equal(await reservedOf('gorra'), 2);
+
+    // Las unidades reservadas no están disponibles para otro cliente, pero sí para quien las reservó
+    const other = await loginAs('customer');
+    assert.equal((await addItem({ id: 'gorra', quantity: 1 }, other.token)).status, 409);
+    assert.equal((await request('GET', '/api/cart', { token: customer.token })).body.items[0].inStock, true);
+
+    const released = await request('DELETE', '/api/cart/reserve', { token: customer.token });
+    assert.equal(released.status, 200);
+    assert.equal(await reservedOf('gorra'), 0);
+  });
+
+  it('no reserva nada si falta stock y libera las reservas vencidas', async () => {
+    const empty = await request('POST', '/api/cart/reserve', { token: customer.token, body: {} });
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.code, 'CART_EMPTY');
+
+    await addItem({ id: 'camiseta', size: 'M', color: 'Rojo', quantity: 1 });
+    await addItem({ id: 'gorra', quantity: 2 });
+    await Stock.updateOne({ productId: 'gorra' }, { quantity: 1 });
+
+    const failed = await request('POST', '/api/cart/reserve', { token: customer.token, body: {} });
+    assert.equal(failed.status, 409);
+    assert.equal(failed.body.code, 'RESERVATION_FAILED');
+    assert.deepEqual(failed.body.details.map(detail => [detail.productId, detail.code]), [['gorra', 'OUT_OF_STOCK']]);
+    assert.equal(await reservedOf('camiseta', 'M', 'Rojo'), 0);
+
+    await Stock.updateOne({ productId: 'gorra' }, { quantity: 2 });
+    await request('POST', '/api/cart/reserve', { token: customer.token, body: {} });
+    await Reservation.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+    assert.equal(await sweepExpiredReservations(), 2);
+    assert.equal(await reservedOf('gorra'), 0);
+  });
+});
@@ -0,0 +1,85 @@
+// test/catalogImport.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../models/Product');
+const Stock = require('../models/Stock');
+const { start, stop, reset, request, loginAs, createProduct } = require('./helpers');
+
+const HEADER = 'id,name,price,image,category,productType,size,color,quantity';
+
+const csv = (...rows) => [HEADER, ...rows].join('\n');
+
+describe('importación y exportación del catálogo en CSV', () => {
+  let admin;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    admin = await loginAs('admin');
+    await createProduct({ id: 'gorra', productType: 'accessory', price: 20000, variants: [{ quantity: 3 }] });
+  });
+
+  const importCsv = (text, { apply = false, token = admin.token } = {}) =>
+    request('POST', `/api/products/import${apply ? '?apply=true' : ''}`, {
+      token,
+      body: text,
+      headers: { 'Content-Type': 'text/csv' }
+    });
+
+  const CATALOG = csv(
+    'gorra,Producto gorra,20000,gorra.jpg,general,accessory,,,5',
+    'camiseta,Camiseta,50000,camiseta.jpg,deportes,clothing,M,Rojo,4',
+    'camiseta,Camiseta,50000,camiseta.jpg,deportes,clothing,L,Rojo,2'
+  );
+
+  it('muestra los cambios sin aplicarlos y los aplica con ?apply=true', async () => {
+    const dryRun = await importCsv(CATALOG);
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.applied, false);
+    assert.deepEqual(dryRun.body.summary, { create: 1, update: 1, unchanged: 0, errors: 0 });
+    assert.equal(await Product.countDocuments({ id: 'camiseta' }), 0);
+
+    const applied = await importCsv(CATALOG, { apply: true });
+    assert.equal(applied.status, 200);
+    assert.equal(applied.body.applied, true);
+    assert.equal((await Stock.findOne({ productId: 'gorra' }).lean()).quantity, 5);
+    assert.equal(await Stock.countDocuments({ productId: 'camiseta' }), 2);
+
+    // Lo exportado se vuelve a importar sin cambios
+    const exported = await request('GET', '/api/products/export.csv', { token: admin.token });
+    assert.match(exported.headers.get('content-type'), /text\/csv/);
+    const again = await importCsv(exported.body);
+    assert.deepEqual(again.body.summary, { create: 0, update: 0, unchanged: 2, errors: 0 });
+  });
+
+  it('exporta con 0 unidades los productos sin stock para que se puedan volver a importar', async () => {
+    await Stock.deleteMany({ productId: 'gorra' });
+
+    const exported = await request('GET', '/api/products/export.csv', { token: admin.token });
+    assert.match(exported.body, /^gorra,.*,0\r$/m);
+
+    const reimported = await importCsv(exported.body);
+    assert.deepEqual(reimported.body.errors, []);
+  });
+
+  it('no aplica nada si el archivo viene vacío o alguna fila tiene errores', async () => {
+    const empty = await importCsv('');
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.code, 'CSV_REQUIRED');
+
+    const withErrors = csv(
+      'gorra,Producto gorra,20000,gorra.jpg,general,accessory,,,5',
+      'camiseta,Camiseta,gratis,camiseta.jpg,deportes,clothing,M,Rojo,4'
+    );
+    const rejected = await importCsv(withErrors, { apply: true });
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.body.code, 'IMPORT_HAS_ERRORS');
+    assert.equal(rejected.body.applied, false);
+    assert.equal(rejected.body.errors[0].id, 'camiseta');
+    assert.equal((await Stock.findOne({ productId: 'gorra' }).lean()).quantity, 3);
+
+    const staff = await loginAs('staff');
+    assert.equal((await importCsv(CATALOG, { token: staff.token })).status, 403);
+  });
+});
@@ -0,0 +1,88 @@
+// test/coupons.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, reset, request, loginAs, createProduct } = require('./helpers');
+
+describe('cupones', () => {
+  let admin;
+  let customer;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    admin = await loginAs('admin');
+    customer = await loginAs('customer');
+    await createProduct({ id: 'camiseta', price: 50000, variants: [{ size: 'M', color: 'Rojo', quantity: 5 }] });
+    await createProduct({ id: 'gorra', productType: 'accessory', price: 20000, variants: [{ quantity: 5 }] });
+  });
+
+  const createCoupon = (body, token = admin.token) => request('POST', '/api/coupons', { token, body });
+
+  it('el administrador crea, lista y desactiva cupones', async () => {
+    const created = await createCoupon({ code: ' verano10 ', type: 'percentage', value: 10, productTypes: ['clothing'] });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.code, 'VERANO10');
+
+    const listed = await request('GET', '/api/coupons?active=true', { token: admin.token });
+    assert.deepEqual(listed.body.coupons.map(coupon => coupon.code), ['VERANO10']);
+
+    const disabled = await request('PATCH', '/api/coupons/verano10', { token: admin.token, body: { active: false } });
+    assert.equal(disabled.status, 200);
+    assert.equal(disabled.body.active, false);
+  });
+
+  it('valida los datos del cupón, el código repetido y los permisos', async () => {
+    const invalid = await createCoupon({ code: 'MAL CODIGO', type: 'percentage', value: 150 });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'INVALID_COUPON');
+    assert.deepEqual(invalid.body.details.map(detail => detail.field), ['code']);
+
+    const tooMuch = await createCoupon({ code: 'TODO', type: 'percentage', value: 150 });
+    assert.deepEqual(tooMuch.body.details.map(detail => [detail.field, detail.code]), [['value', 'TOO_LARGE']]);
+
+    await createCoupon({ code: 'FIJO', type: 'fixed', value: 5000 });
+    const repeated = await createCoupon({ code: 'fijo', type: 'fixed', value: 1000 });
+    assert.equal(repeated.status, 409);
+    assert.equal(repeated.body.code, 'COUPON_EXISTS');
+
+    const byCustomer = await createCoupon({ code: 'MIO', type: 'fixed', value: 1000 }, customer.token);
+    assert.equal(byCustomer.status, 403);
+
+    const missing = await request('PATCH', '/api/coupons/NO-EXISTE', { token: admin.token, body: { active: false } });
+    assert.equal(missing.status, 404);
+  });
+
+  it('calcula el descuento solo sobre las líneas que cumplen el tipo de producto', async () => {
+    await createCoupon({ code: 'ROPA10', type: 'percentage', value: 10, productTypes: ['clothing'] });
+
+    const { status, body } = await request('POST', '/api/coupons/validate', {
+      token: customer.token,
+      body: { code: 'ropa10', items: [{ id: 'camiseta', quantity: 2 }, { id: 'gorra', quantity: 1 }] }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.valid, true);
+    assert.equal(body.subtotal, 120000);
+    assert.equal(body.eligibleSubtotal, 100000);
+    assert.equal(body.discount, 10000);
+  });
+
+  it('rechaza cupones inexistentes, vencidos o que no aplican con valid: false', async () => {
+    await createCoupon({ code: 'ROPA10', type: 'percentage', value: 10, productTypes: ['clothing'] });
+    await createCoupon({ code: 'VIEJO', type: 'fixed', value: 1000, endsAt: '2020-01-31T00:00:00Z' });
+    const validate = (code) => request('POST', '/api/coupons/validate', {
+      token: customer.token,
+      body: { code, items: [{ id: 'gorra', quantity: 1 }] }
+    });
+
+    const unknown = await validate('NO-EXISTE');
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.valid, false);
+
+    assert.equal((await validate('VIEJO')).body.code, 'COUPON_NOT_ACTIVE');
+    assert.equal((await validate('ROPA10')).body.code, 'COUPON_NOT_APPLICABLE');
+
+    const emptyCart = await request('POST', '/api/coupons/validate', { token: customer.token, body: { code: 'ROPA10' } });
+    assert.equal(emptyCart.body.code, 'CART_EMPTY');
+  });
+});
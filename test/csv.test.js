@@ -0,0 +1,21 @@
+// test/csv.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, stringifyCsv } = require('../utils/csv');
+
+describe('CSV', () => {
+  it('escapa comillas, comas y saltos de línea', () => {
+    const csv = stringifyCsv([{ name: 'Camiseta "Pro", roja', note: 'línea 1\nlínea 2' }], ['name', 'note']);
+    assert.equal(csv, 'name,note\r\n"Camiseta ""Pro"", roja","línea 1\nlínea 2"\r\n');
+    assert.deepEqual(parseCsv(csv), [{ line: 2, name: 'Camiseta "Pro", roja', note: 'línea 1\nlínea 2' }]);
+  });
+
+  it('neutraliza los textos que una hoja de cálculo ejecutaría como fórmula', () => {
+    const rows = [{ city: '=HYPERLINK("http://example.com")', district: '@SUM(A1)', code: '+57', total: -1500 }];
+    const csv = stringifyCsv(rows, ['city', 'district', 'code', 'total']);
+
+    assert.equal(csv.split('\r\n')[1], `"'=HYPERLINK(""http://example.com"")",'@SUM(A1),'+57,-1500`);
+    // Al volver a importar el archivo exportado se recupera el valor original
+    assert.deepEqual(parseCsv(csv)[0], { line: 2, city: rows[0].city, district: '@SUM(A1)', code: '+57', total: '-1500' });
+  });
+});
@@ -0,0 +1,134 @@
+// test/guestOrders.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const Stock = require('../models/Stock');
+const { sweepStalePendingOrders } = require('../services/orderStatus');
+const { MAX_LINE_QUANTITY, MAX_ORDER_UNITS } = require('../services/checkout');
+const {
+  start,
+  stop,
+  reset,
+  request,
+  register,
+  createProduct,
+  createDefaultZone,
+  waitForMail,
+  sentMail,
+  CUSTOMER
+} = require('./helpers');
+
+describe('pedidos de invitados', () => {
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    await createDefaultZone(12000);
+    await createProduct({ id: 'gorra', productType: 'accessory', price: 20000, variants: [{ quantity: 5 }] });
+    await createProduct({ id: 'media', productType: 'accessory', price: 5000, variants: [{ quantity: 100 }] });
+  });
+
+  const guestCheckout = (customer = CUSTOMER) =>
+    request('POST', '/api/checkout/guest', { body: { customer, items: [{ id: 'gorra', quantity: 1 }] } });
+
+  it('crea el pedido sin usuario y envía la confirmación con el enlace del pedido', async () => {
+    const { status, body } = await guestCheckout();
+    assert.equal(status, 201);
+    assert.equal(body.order.total, 32000);
+    assert.ok(body.orderToken);
+
+    const saved = await Order.findOne({ orderId: body.order.orderId }).lean();
+    assert.equal(saved.userId, undefined);
+
+    const mail = await waitForMail(message => message.to === CUSTOMER.email);
+    const token = mail.text.match(/token=(\S+)/)[1];
+    const byLink = await request('GET', `/api/orders/lookup?token=${token}`);
+    assert.equal(byLink.status, 200);
+    assert.equal(byLink.body.order.orderId, body.order.orderId);
+
+    const invalid = await request('GET', '/api/orders/lookup?token=no.es.un.token');
+    assert.equal(invalid.status, 404);
+    assert.equal(invalid.body.code, 'ORDER_LINK_INVALID');
+
+    const missingCustomer = await request('POST', '/api/checkout/guest', { body: { items: [{ id: 'gorra', quantity: 1 }] } });
+    assert.equal(missingCustomer.status, 400);
+    assert.equal(missingCustomer.body.details[0].field, 'customer');
+  });
+
+  it('consulta el pedido con el número y el correo de la compra', async () => {
+    const { orderId } = (await guestCheckout()).body.order;
+
+    const found = await request('POST', '/api/orders/lookup', { body: { orderId, email: ' ANA@example.com' } });
+    assert.equal(found.status, 200);
+    assert.equal(found.body.order.status, 'pending');
+    assert.equal(found.body.order.userId, undefined);
+
+    const wrongEmail = await request('POST', '/api/orders/lookup', { body: { orderId, email: 'otra@example.com' } });
+    assert.equal(wrongEmail.status, 404);
+    assert.equal(wrongEmail.body.code, 'ORDER_NOT_FOUND');
+  });
+
+  it('el invitado paga y reenvía la confirmación sin iniciar sesión', async () => {
+    const { order, orderToken } = (await guestCheckout()).body;
+
+    const anonymous = await request('POST', `/api/payments/orders/${order.orderId}`);
+    assert.equal(anonymous.status, 401);
+
+    const payment = await request('POST', `/api/payments/orders/${order.orderId}?token=${orderToken}`);
+    assert.equal(payment.status, 201);
+    assert.equal(payment.body.payment.amount, order.total);
+
+    await waitForMail(message => message.to === CUSTOMER.email);
+    sentMail.length = 0;
+    const withoutEmail = await request('POST', '/api/send-order-confirmation', { body: { orderId: order.orderId } });
+    assert.equal(withoutEmail.status, 400);
+    assert.equal(withoutEmail.body.details[0].field, 'email');
+
+    const resent = await request('POST', '/api/send-order-confirmation', {
+      body: { orderId: order.orderId, email: CUSTOMER.email }
+    });
+    assert.equal(resent.status, 202);
+    await waitForMail(message => message.to === CUSTOMER.email);
+  });
+
+  it('pasa los pedidos de invitado a la cuenta al verificar el mismo correo', async () => {
+    const { orderId } = (await guestCheckout({ ...CUSTOMER, email: 'Ana@Example.com' })).body.order;
+    await guestCheckout({ ...CUSTOMER, email: 'otra@example.com' });
+
+    const credentials = { email: 'ana@example.com', password: 'una-clave-larga' };
+    await register(credentials);
+    const login = await request('POST', '/api/login', { body: credentials });
+
+    const { body } = await request('GET', '/api/orders', { token: login.body.token });
+    assert.deepEqual(body.orders.map(order => order.orderId), [orderId]);
+  });
+
+  it('limita las unidades por línea y por pedido', async () => {
+    const tooMany = await request('POST', '/api/checkout/guest', {
+      body: { customer: CUSTOMER, items: [{ id: 'media', quantity: MAX_LINE_QUANTITY + 1 }] }
+    });
+    assert.equal(tooMany.status, 400);
+    assert.equal(tooMany.body.details[0].field, 'items[0].quantity');
+    assert.equal(tooMany.body.details[0].code, 'TOO_LARGE');
+
+    const lines = Math.ceil((MAX_ORDER_UNITS + 1) / MAX_LINE_QUANTITY);
+    const tooLarge = await request('POST', '/api/checkout/guest', {
+      body: { customer: CUSTOMER, items: Array.from({ length: lines }, () => ({ id: 'media', quantity: MAX_LINE_QUANTITY })) }
+    });
+    assert.equal(tooLarge.status, 400);
+    assert.equal(tooLarge.body.code, 'ORDER_TOO_LARGE');
+    assert.equal(await Order.countDocuments(), 0);
+    assert.equal((await Stock.findOne({ productId: 'media' }).lean()).quantity, 100);
+  });
+
+  it('cancela los pedidos que siguen sin pagar y devuelve su stock', async () => {
+    const { orderId } = (await guestCheckout()).body.order;
+    const recent = (await guestCheckout()).body.order.orderId;
+    await Order.updateOne({ orderId }, { date: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+
+    assert.equal(await sweepStalePendingOrders(), 1);
+    assert.equal((await Order.findOne({ orderId }).lean()).status, 'cancelled');
+    assert.equal((await Order.findOne({ orderId: recent }).lean()).status, 'pending');
+    assert.equal((await Stock.findOne({ productId: 'gorra' }).lean()).quantity, 4);
+  });
+});
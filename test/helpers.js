@@ -0,0 +1,172 @@
+// test/helpers.js
+// Entorno común de las pruebas de integración: MongoDB en memoria (réplica de un nodo, para las
+// transacciones) o la indicada en MONGO_TEST_URI, la app escuchando en un puerto libre y los
+// correos capturados en memoria en lugar de enviarse.
+//
+// mongodb-memory-server descarga mongod de fastdl.mongodb.org la primera vez. Sin acceso a internet:
+//   MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test
+//     arranca el replica set en memoria con un mongod (6.0 o posterior) ya instalado en la máquina, o bien
+//   MONGO_TEST_URI="mongodb://127.0.0.1:27017/?replicaSet=rs0" npm test   (o MONGO_URL=...)
+//     usa un servidor en marcha; debe ser un replica set (aunque sea de un nodo) por las transacciones,
+//     p. ej. `mongod --replSet rs0 --dbpath /tmp/mongo-test` seguido de `mongosh --eval "rs.initiate()"`.
+// Cada archivo de pruebas usa su propia base de datos (mitienda-test-<pid>) y la borra al terminar.
+process.env.NODE_ENV = 'test';
+process.env.MAIL_TRANSPORT = 'json';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.RESET_SECRET = process.env.RESET_SECRET || 'test-reset-secret';
+process.env.EMAIL_VERIFICATION_SECRET = process.env.EMAIL_VERIFICATION_SECRET || 'test-verification-secret';
+process.env.ORDER_LINK_SECRET = process.env.ORDER_LINK_SECRET || 'test-order-link-secret';
+process.env.EMAIL_USER = process.env.EMAIL_USER || 'tienda@example.com';
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.FAKE_PAYMENT_SECRET = 'test-payment-secret';
+process.env.LOW_STOCK_EMAILS = 'inventario@example.com';
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const app = require('../app');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Stock = require('../models/Stock');
+const ShippingZone = require('../models/ShippingZone');
+const { transporter } = require('../services/mailer');
+const { getStore } = require('../services/rateLimit');
+
+let replSet;
+let server;
+let baseUrl;
+
+// Correos que la app intentó enviar, en orden
+const sentMail = [];
+const sendMail = transporter.sendMail.bind(transporter);
+transporter.sendMail = async (message) => {
+  const info = await sendMail(message);
+  sentMail.push(message);
+  return info;
+};
+
+// Servidor de pruebas ya en marcha, si se indicó uno
+const externalUri = () => process.env.MONGO_TEST_URI || process.env.MONGO_URL;
+
+async function start() {
+  let uri = externalUri();
+  if (!uri) {
+    const { MongoMemoryReplSet } = require('mongodb-memory-server');
+    const systemBinary = process.env.MONGOMS_SYSTEM_BINARY;
+    try {
+      replSet = await MongoMemoryReplSet.create({
+        ...(systemBinary && { binary: { systemBinary } }),
+        replSet: { count: 1, storageEngine: 'wiredTiger' }
+      });
+    } catch (error) {
+      throw new Error(
+        `No se pudo iniciar MongoDB en memoria (${error.message}). Sin acceso a fastdl.mongodb.org indica un ` +
+        'mongod local con MONGOMS_SYSTEM_BINARY o un replica set con MONGO_TEST_URI o MONGO_URL (ver test/helpers.js).'
+      );
+    }
+    uri = replSet.getUri();
+  }
+  await mongoose.connect(uri, { dbName: `mitienda-test-${process.pid}` });
+  // Los índices únicos (y las colecciones, que no se pueden crear dentro de una transacción) antes de empezar
+  await Promise.all(Object.values(mongoose.models).map(model => model.createCollection().then(() => model.syncIndexes())));
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+// Tolera que start() haya fallado a medias, para que el error visible sea el de arranque
+async function stop() {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+  if (replSet) await replSet.stop();
+}
+
+// Vacía las colecciones (conservando los índices), los límites de solicitudes y los correos capturados
+async function reset() {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+  await getStore().clear();
+  sentMail.length = 0;
+}
+
+/**
+ * Llama a la API. Devuelve { status, headers, body } con el cuerpo ya interpretado
+ * (JSON si la respuesta lo es, texto en otro caso).
+ */
+async function request(method, path, { token, body, headers = {} } = {}) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers
+    },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const type = response.headers.get('content-type') || '';
+  const parsed = type.includes('application/json') ? await response.json() : await response.text();
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+// Registra una cuenta por la API y la verifica con el enlace enviado por correo
+async function register(credentials) {
+  const created = await request('POST', '/api/register', { body: credentials });
+  const mail = await waitForMail(message => message.to === credentials.email && /Confirma/.test(message.subject));
+  const token = mail.html.match(/token=([^"&]+)/)[1];
+  await request('POST', '/api/verify-email', { body: { token } });
+  return created;
+}
+
+// Crea un usuario (ya verificado) con el rol indicado y devuelve su access token
+async function loginAs(role = 'customer', email = `${role}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`) {
+  const password = 'secreto-seguro';
+  await User.create({ email, password: await bcrypt.hash(password, 4), role, emailVerified: true });
+  const { body } = await request('POST', '/api/login', { body: { email, password } });
+  return { token: body.token, userId: body.userId, email };
+}
+
+// Producto y stock directamente en la base de datos, sin pasar por la API
+async function createProduct({ id, productType = 'clothing', price = 50000, variants }) {
+  await Product.create({ id, name: `Producto ${id}`, price, image: `${id}.jpg`, category: 'general', productType });
+  await Stock.insertMany(variants.map(variant => ({ productId: id, size: '', color: '', ...variant })));
+}
+
+// Zona de envío por defecto con tarifa fija
+const createDefaultZone = (baseRate = 10000) =>
+  ShippingZone.create({ name: 'Resto del país', city: '*', baseRate });
+
+// Espera a que llegue un correo que cumpla `predicate` (los correos se envían en segundo plano)
+async function waitForMail(predicate, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const mail = sentMail.find(predicate);
+    if (mail) return mail;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error('No se envió el correo esperado');
+}
+
+const CUSTOMER = {
+  name: 'Ana Pérez',
+  email: 'ana@example.com',
+  id: '1020304050',
+  phone: '3001234567',
+  address: { street: 'Calle 1 # 2-3', neighborhood: 'Centro', district: 'Candelaria', city: 'Bogotá' }
+};
+
+module.exports = {
+  start,
+  stop,
+  reset,
+  request,
+  register,
+  loginAs,
+  createProduct,
+  createDefaultZone,
+  waitForMail,
+  sentMail,
+  CUSTOMER
+};
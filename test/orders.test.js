@@ -0,0 +1,252 @@
+// test/orders.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const Stock = require('../models/Stock');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const {
+  start,
+  stop,
+  reset,
+  request,
+  loginAs,
+  createProduct,
+  createDefaultZone,
+  waitForMail,
+  sentMail,
+  CUSTOMER
+} = require('./helpers');
+
+const stockOf = async (productId, size = '', color = '') =>
+  (await Stock.findOne({ productId, size, color }).lean()).quantity;
+
+describe('pedidos', () => {
+  let customer;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    customer = await loginAs('customer');
+    await createDefaultZone(12000);
+    await createProduct({ id: 'camiseta', price: 50000, variants: [{ size: 'M', color: 'Rojo', quantity: 5 }] });
+    await createProduct({ id: 'gorra', productType: 'accessory', price: 20000, variants: [{ quantity: 1 }] });
+  });
+
+  const checkout = (items, token = customer.token) =>
+    request('POST', '/api/checkout', { token, body: { customer: CUSTOMER, items } });
+
+  it('crea el pedido con precios y envío del servidor, descuenta el stock y envía la confirmación', async () => {
+    const { status, body } = await request('POST', '/api/checkout', {
+      token: customer.token,
+      body: {
+        customer: CUSTOMER,
+        items: [{ id: 'camiseta', size: 'M', color: 'Rojo', quantity: 2, price: 1 }, { id: 'gorra', quantity: 1 }],
+        shipping: 0,
+        total: 1
+      }
+    });
+
+    assert.equal(status, 201);
+    const { order } = body;
+    assert.equal(order.subtotal, 120000);
+    assert.equal(order.shipping, 12000);
+    assert.equal(order.total, 132000);
+    assert.equal(order.status, 'pending');
+    assert.deepEqual(order.items.map(item => [item.productId, item.productType]), [['camiseta', 'clothing'], ['gorra', 'accessory']]);
+    assert.equal(await stockOf('camiseta', 'M', 'Rojo'), 3);
+    assert.equal(await stockOf('gorra'), 0);
+
+    const mail = await waitForMail(message => message.to === CUSTOMER.email);
+    assert.match(mail.subject, new RegExp(order.orderId));
+    assert.equal(mail.attachments[0].contentType, 'application/pdf');
+  });
+
+  it('no crea el pedido ni toca el stock si alguna línea no se puede atender', async () => {
+    const { status, body } = await checkout([
+      { id: 'camiseta', size: 'M', color: 'Rojo', quantity: 1 },
+      { id: 'gorra', quantity: 2 },
+      { id: 'no-existe', quantity: 1 }
+    ]);
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'CHECKOUT_FAILED');
+    assert.deepEqual(body.details.map(detail => [detail.id, detail.code]), [
+      ['gorra', 'OUT_OF_STOCK'],
+      ['no-existe', 'PRODUCT_NOT_FOUND']
+    ]);
+    assert.equal(await Order.countDocuments(), 0);
+    assert.equal(await stockOf('camiseta', 'M', 'Rojo'), 5);
+  });
+
+  it('dos checkouts simultáneos de la última unidad: uno se crea y el otro recibe 409, no 500', async () => {
+    const other = await loginAs('customer');
+    const results = await Promise.all([
+      checkout([{ id: 'gorra', quantity: 1 }]),
+      checkout([{ id: 'gorra', quantity: 1 }], other.token)
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), [201, 409]);
+    assert.equal(await Order.countDocuments(), 1);
+    assert.equal(await stockOf('gorra'), 0);
+  });
+
+  it('guarda en el pedido la variante normalizada y la cancelación la devuelve', async () => {
+    await createProduct({ id: 'guantes', productType: 'gloves', price: 30000, variants: [{ size: 'M', quantity: 2 }] });
+    const { body } = await checkout([{ id: 'guantes', size: 'm', quantity: 1 }, { id: 'gorra', size: 'XL', quantity: 1 }]);
+    assert.deepEqual(body.order.items.map(item => [item.size, item.color]), [['M', ''], ['', '']]);
+
+    const staff = await loginAs('staff');
+    await request('PATCH', `/api/orders/${body.order.orderId}/status`, { token: staff.token, body: { status: 'cancelled' } });
+    assert.equal(await stockOf('guantes', 'M'), 2);
+    assert.equal(await stockOf('gorra'), 1);
+  });
+
+  it('valida los datos del cliente del checkout', async () => {
+    const { status, body } = await request('POST', '/api/checkout', {
+      token: customer.token,
+      body: { customer: { ...CUSTOMER, email: 'sin-arroba', address: undefined }, items: [{ id: 'gorra', quantity: 1 }] }
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.details.map(detail => [detail.field, detail.code]), [
+      ['customer.email', 'INVALID_EMAIL'],
+      ['customer.address', 'REQUIRED']
+    ]);
+  });
+
+  it('la ruta heredada de pedidos usa los precios del servidor y descuenta el stock', async () => {
+    const orderData = {
+      orderId: 'ORD-FALSO-1',
+      customer: CUSTOMER,
+      items: [{ id: 'gorra', name: 'Gorra', price: 1, quantity: 1 }],
+      subtotal: 1,
+      shipping: 0,
+      total: 1
+    };
+
+    const invalid = await request('POST', '/api/orders', {
+      token: customer.token,
+      body: { orderData: { ...orderData, customer: { ...CUSTOMER, address: undefined } } }
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].field, 'orderData.customer.address');
+
+    const saved = await request('POST', '/api/orders', { token: customer.token, body: { orderData } });
+    assert.equal(saved.status, 200);
+    assert.notEqual(saved.body.order.orderId, 'ORD-FALSO-1');
+    assert.equal(saved.body.order.total, 32000);
+    assert.equal(await stockOf('gorra'), 0);
+  });
+
+  it('cada cliente ve solo sus pedidos', async () => {
+    const { body } = await checkout([{ id: 'gorra', quantity: 1 }]);
+    const { orderId } = body.order;
+    const other = await loginAs('customer');
+
+    const mine = await request('GET', '/api/orders', { token: customer.token });
+    assert.deepEqual(mine.body.orders.map(order => order.orderId), [orderId]);
+    assert.equal(mine.body.total, 1);
+
+    const theirs = await request('GET', '/api/orders', { token: other.token });
+    assert.equal(theirs.body.total, 0);
+
+    const hidden = await request('GET', `/api/orders/${orderId}`, { token: other.token });
+    assert.equal(hidden.status, 404);
+    assert.equal(hidden.body.code, 'ORDER_NOT_FOUND');
+
+    const invoice = await request('GET', `/api/orders/${orderId}/invoice.pdf`, { token: customer.token });
+    assert.equal(invoice.status, 200);
+    assert.equal(invoice.headers.get('content-type'), 'application/pdf');
+
+    const badPage = await request('GET', '/api/orders?limit=500', { token: customer.token });
+    assert.equal(badPage.status, 400);
+  });
+
+  it('reenvía la confirmación de un pedido propio', async () => {
+    const { body } = await checkout([{ id: 'gorra', quantity: 1 }]);
+    await waitForMail(message => message.to === CUSTOMER.email);
+    sentMail.length = 0;
+
+    const resent = await request('POST', '/api/send-order-confirmation', {
+      token: customer.token,
+      body: { orderId: body.order.orderId }
+    });
+    assert.equal(resent.status, 202);
+    await waitForMail(message => message.to === CUSTOMER.email);
+
+    const other = await loginAs('customer');
+    const foreign = await request('POST', '/api/send-order-confirmation', {
+      token: other.token,
+      body: { orderId: body.order.orderId }
+    });
+    assert.equal(foreign.status, 404);
+
+    const missing = await request('POST', '/api/send-order-confirmation', { token: customer.token, body: {} });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.details[0].field, 'orderId');
+
+    // Cinco envíos por hora y usuario, también con sesión iniciada
+    const resend = () => request('POST', '/api/send-order-confirmation', {
+      token: customer.token,
+      body: { orderId: body.order.orderId }
+    });
+    for (let attempt = 0; attempt < 3; attempt++) {
+      assert.equal((await resend()).status, 202);
+    }
+    const limited = await resend();
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'TOO_MANY_REQUESTS');
+  });
+
+  it('el personal cambia el estado, la cancelación devuelve el stock y se avisa al cliente', async () => {
+    const { body } = await checkout([{ id: 'camiseta', size: 'M', color: 'Rojo', quantity: 2 }]);
+    const { orderId } = body.order;
+    const staff = await loginAs('staff');
+
+    const byCustomer = await request('PATCH', `/api/orders/${orderId}/status`, {
+      token: customer.token,
+      body: { status: 'cancelled' }
+    });
+    assert.equal(byCustomer.status, 403);
+
+    const invalid = await request('PATCH', `/api/orders/${orderId}/status`, {
+      token: staff.token,
+      body: { status: 'delivered' }
+    });
+    assert.equal(invalid.status, 409);
+    assert.equal(invalid.body.code, 'ORDER_TRANSITION_INVALID');
+
+    const cancelled = await request('PATCH', `/api/orders/${orderId}/status`, {
+      token: staff.token,
+      body: { status: 'cancelled', note: 'Pedido duplicado' }
+    });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.order.status, 'cancelled');
+    assert.equal(await stockOf('camiseta', 'M', 'Rojo'), 5);
+
+    await waitForMail(message => message.to === CUSTOMER.email && /cancelado/.test(message.subject));
+  });
+
+  it('al cancelar el pedido el cliente recupera el cupón de un solo uso', async () => {
+    await Coupon.create({ code: 'UNAVEZ', type: 'fixed', value: 5000, maxUsesPerUser: 1 });
+    const withCoupon = () => request('POST', '/api/checkout', {
+      token: customer.token,
+      body: { customer: CUSTOMER, items: [{ id: 'camiseta', size: 'M', color: 'Rojo', quantity: 1 }], couponCode: 'unavez' }
+    });
+
+    const { orderId } = (await withCoupon()).body.order;
+    const again = await withCoupon();
+    assert.equal(again.body.code, 'COUPON_USER_LIMIT');
+
+    const staff = await loginAs('staff');
+    await request('PATCH', `/api/orders/${orderId}/status`, { token: staff.token, body: { status: 'cancelled' } });
+    assert.equal((await Coupon.findOne({ code: 'UNAVEZ' }).lean()).usedCount, 0);
+    assert.equal(await CouponRedemption.countDocuments({ orderId }), 0);
+
+    const reused = await withCoupon();
+    assert.equal(reused.status, 201);
+    assert.equal(reused.body.order.discount.amount, 5000);
+  });
+});
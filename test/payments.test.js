@@ -0,0 +1,146 @@
+// test/payments.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Stock = require('../models/Stock');
+const PaymentEvent = require('../models/PaymentEvent');
+const fake = require('../services/paymentProviders/fake');
+const wompi = require('../services/paymentProviders/wompi');
+const { start, stop, reset, request, loginAs, createProduct, createDefaultZone, CUSTOMER } = require('./helpers');
+
+const sendEvent = ({ body, signature }) =>
+  request('POST', '/api/payments/webhooks/fake', { body, headers: { 'x-fake-signature': signature } });
+
+describe('pagos', () => {
+  let customer;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    customer = await loginAs('customer');
+    await createDefaultZone(12000);
+    await createProduct({ id: 'gorra', productType: 'accessory', price: 20000, variants: [{ quantity: 3 }] });
+  });
+
+  // Pedido pendiente con su intención de pago creada
+  async function pendingPayment() {
+    const { order } = (await request('POST', '/api/checkout', {
+      token: customer.token,
+      body: { customer: CUSTOMER, items: [{ id: 'gorra', quantity: 2 }] }
+    })).body;
+    const { payment } = (await request('POST', `/api/payments/orders/${order.orderId}`, { token: customer.token })).body;
+    return { order, payment };
+  }
+
+  it('crea la intención de pago y el webhook aprobado marca el pedido como pagado', async () => {
+    const { order, payment } = await pendingPayment();
+    assert.equal(payment.amount, order.total);
+    assert.equal(payment.status, 'pending');
+
+    const received = await sendEvent(fake.buildEvent({ reference: payment.reference, status: 'approved' }));
+    assert.equal(received.status, 200);
+    assert.deepEqual(received.body, { received: true, duplicate: false });
+
+    const { body } = await request('GET', `/api/payments/orders/${order.orderId}`, { token: customer.token });
+    assert.equal(body.orderStatus, 'paid');
+    assert.equal(body.payments[0].status, 'approved');
+  });
+
+  it('rechaza eventos con firma inválida y de pasarelas no configuradas', async () => {
+    const { order, payment } = await pendingPayment();
+    const event = fake.buildEvent({ reference: payment.reference, status: 'approved' });
+
+    const forged = await sendEvent({ body: event.body, signature: 'f'.repeat(64) });
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.code, 'INVALID_SIGNATURE');
+
+    const unsigned = await request('POST', '/api/payments/webhooks/fake', { body: event.body });
+    assert.equal(unsigned.status, 401);
+
+    const otherProvider = await request('POST', '/api/payments/webhooks/wompi', { body: event.body });
+    assert.equal(otherProvider.status, 404);
+    assert.equal(otherProvider.body.code, 'PAYMENT_PROVIDER_UNKNOWN');
+
+    assert.equal((await Order.findOne({ orderId: order.orderId }).lean()).status, 'pending');
+    assert.equal(await PaymentEvent.countDocuments(), 0);
+  });
+
+  it('un evento repetido no vuelve a procesarse', async () => {
+    const { order, payment } = await pendingPayment();
+    const event = fake.buildEvent({ reference: payment.reference, status: 'approved' });
+
+    assert.equal((await sendEvent(event)).body.duplicate, false);
+    const repeated = await sendEvent(event);
+    assert.equal(repeated.status, 200);
+    assert.equal(repeated.body.duplicate, true);
+
+    const saved = await Order.findOne({ orderId: order.orderId }).lean();
+    assert.deepEqual(saved.statusHistory.map(entry => entry.status), ['pending', 'paid']);
+    assert.equal(await PaymentEvent.countDocuments(), 1);
+  });
+
+  it('un pago rechazado deja el pedido con pago fallido y devuelve el stock', async () => {
+    const { order, payment } = await pendingPayment();
+    assert.equal((await Stock.findOne({ productId: 'gorra' }).lean()).quantity, 1);
+
+    const declined = await sendEvent(fake.buildEvent({ reference: payment.reference, status: 'declined' }));
+    assert.equal(declined.status, 200);
+
+    assert.equal((await Order.findOne({ orderId: order.orderId }).lean()).status, 'payment_failed');
+    assert.equal((await Stock.findOne({ productId: 'gorra' }).lean()).quantity, 3);
+
+    // Un aprobado posterior del mismo pago ya no cambia nada
+    await sendEvent(fake.buildEvent({ reference: payment.reference, status: 'approved' }));
+    assert.equal((await Order.findOne({ orderId: order.orderId }).lean()).status, 'payment_failed');
+    assert.equal((await Stock.findOne({ productId: 'gorra' }).lean()).quantity, 3);
+  });
+
+  it('responde 404 a eventos de pagos desconocidos y a pedidos ajenos', async () => {
+    const unknown = await sendEvent(fake.buildEvent({ reference: 'NO-EXISTE', status: 'approved' }));
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'PAYMENT_NOT_FOUND');
+
+    const { order } = await pendingPayment();
+    const other = await loginAs('customer');
+    const foreign = await request('POST', `/api/payments/orders/${order.orderId}`, { token: other.token });
+    assert.equal(foreign.status, 404);
+  });
+});
+
+describe('firma de los eventos de Wompi', () => {
+  const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+  const event = (secret) => {
+    const data = { transaction: { id: 'T-1', status: 'APPROVED', amount_in_cents: 3200000, reference: 'ORD-1' } };
+    const properties = ['transaction.id', 'transaction.status', 'transaction.amount_in_cents'];
+    const timestamp = 1700000000;
+    const checksum = sha256(`T-1APPROVED3200000${timestamp}${secret}`);
+    return { body: { data, timestamp, signature: { properties, checksum } } };
+  };
+
+  it('acepta el checksum calculado con WOMPI_EVENTS_SECRET y rechaza los demás', () => {
+    process.env.WOMPI_EVENTS_SECRET = 'eventos-de-prueba';
+    try {
+      assert.equal(wompi.verifyWebhook(event('eventos-de-prueba')), true);
+      assert.equal(wompi.verifyWebhook(event('otro-secreto')), false);
+      delete process.env.WOMPI_EVENTS_SECRET;
+      assert.equal(wompi.verifyWebhook(event('undefined')), false);
+    } finally {
+      delete process.env.WOMPI_EVENTS_SECRET;
+    }
+  });
+
+  it('no arma la intención de pago sin el secreto de integridad', async () => {
+    delete process.env.WOMPI_INTEGRITY_SECRET;
+    process.env.WOMPI_PUBLIC_KEY = 'pub_test';
+    try {
+      await assert.rejects(
+        wompi.createIntent({ reference: 'ORD-1', amount: 32000, currency: 'COP' }),
+        /WOMPI_INTEGRITY_SECRET/
+      );
+    } finally {
+      delete process.env.WOMPI_PUBLIC_KEY;
+    }
+  });
+});
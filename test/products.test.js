@@ -0,0 +1,166 @@
+// test/products.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Stock = require('../models/Stock');
+const { start, stop, reset, request, loginAs } = require('./helpers');
+
+const product = (id, productType, variants) => ({
+  id,
+  name: `Producto ${id}`,
+  price: 45000,
+  image: `${id}.jpg`,
+  category: 'deportes',
+  productType,
+  variants
+});
+
+describe('productos y stock por tipo', () => {
+  let admin;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    admin = await loginAs('admin');
+  });
+
+  it('guarda el stock de ropa por talla y color', async () => {
+    const created = await request('POST', '/api/products', {
+      token: admin.token,
+      body: product('camiseta', 'clothing', [
+        { size: 'M', color: 'Rojo', quantity: 5 },
+        { size: 'L', color: 'Azul', quantity: 2 }
+      ])
+    });
+    assert.equal(created.status, 201);
+
+    const { body } = await request('GET', '/api/products/camiseta/stock');
+    assert.deepEqual(body, { 'M-Rojo': { quantity: 5 }, 'L-Azul': { quantity: 2 } });
+  });
+
+  it('guarda una sola cantidad para los accesorios', async () => {
+    await request('POST', '/api/products', { token: admin.token, body: product('gorra', 'accessory', [{ quantity: 7 }]) });
+
+    const { body } = await request('GET', '/api/products/gorra/stock');
+    assert.deepEqual(body, { default: { quantity: 7 } });
+
+    const twoVariants = await request('POST', '/api/products', {
+      token: admin.token,
+      body: product('bolso', 'accessory', [{ quantity: 1 }, { quantity: 2 }])
+    });
+    assert.equal(twoVariants.status, 400);
+    assert.equal(twoVariants.body.code, 'INVALID_PRODUCT');
+    assert.equal(twoVariants.body.details[0].code, 'ACCESSORY_SINGLE_VARIANT');
+  });
+
+  it('guarda guantes y rodilleras por talla en mayúsculas y sin color', async () => {
+    await request('POST', '/api/products', {
+      token: admin.token,
+      body: product('guantes', 'gloves', [{ size: 'm', quantity: 3 }, { size: 'L', quantity: 1 }])
+    });
+    const { body } = await request('GET', '/api/products/guantes/stock');
+    assert.deepEqual(body, { M: { quantity: 3 }, L: { quantity: 1 } });
+
+    const withColor = await request('POST', '/api/products', {
+      token: admin.token,
+      body: product('rodilleras', 'kneepads', [{ size: 'S', color: 'Negro', quantity: 1 }])
+    });
+    assert.equal(withColor.status, 400);
+    assert.deepEqual(withColor.body.details.map(detail => [detail.field, detail.code]), [
+      ['variants[0].color', 'COLOR_NOT_ALLOWED']
+    ]);
+  });
+
+  it('valida los datos del producto con detalles por campo', async () => {
+    const { status, body } = await request('POST', '/api/products', {
+      token: admin.token,
+      body: { ...product('malo', 'clothing', [{ size: 'M', quantity: -1 }]), price: -5, productType: 'clothing', extra: true }
+    });
+
+    assert.equal(status, 400);
+    const fields = body.details.map(detail => `${detail.field}:${detail.code}`);
+    assert.ok(fields.includes('extra:UNKNOWN_FIELD'));
+    assert.ok(fields.includes('price:NON_NEGATIVE_NUMBER'));
+    assert.ok(fields.includes('variants[0].quantity:NON_NEGATIVE_INTEGER'));
+    assert.ok(fields.includes('variants[0].color:REQUIRED'));
+  });
+
+  it('solo los administradores crean productos y el id no se repite', async () => {
+    const customer = await loginAs('customer');
+    const forbidden = await request('POST', '/api/products', {
+      token: customer.token,
+      body: product('gorra', 'accessory', [{ quantity: 1 }])
+    });
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.code, 'FORBIDDEN');
+
+    await request('POST', '/api/products', { token: admin.token, body: product('gorra', 'accessory', [{ quantity: 1 }]) });
+    const duplicate = await request('POST', '/api/products', {
+      token: admin.token,
+      body: product('gorra', 'accessory', [{ quantity: 1 }])
+    });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, 'PRODUCT_EXISTS');
+  });
+
+  it('filtra el catálogo por tipo y oculta los productos archivados', async () => {
+    await request('POST', '/api/products', { token: admin.token, body: product('gorra', 'accessory', [{ quantity: 4 }]) });
+    await request('POST', '/api/products', {
+      token: admin.token,
+      body: product('camiseta', 'clothing', [{ size: 'M', color: 'Rojo', quantity: 0 }])
+    });
+
+    const accessories = await request('GET', '/api/products?productType=accessory');
+    assert.deepEqual(accessories.body.products.map(item => item.id), ['gorra']);
+    assert.equal(accessories.body.products[0].totalStock, 4);
+
+    const inStock = await request('GET', '/api/products?inStock=true');
+    assert.deepEqual(inStock.body.products.map(item => item.id), ['gorra']);
+
+    // Sin filtro de stock se pagina primero y el stock se cruza solo con la página
+    const first = await request('GET', '/api/products?sort=name_asc&limit=1');
+    assert.deepEqual(first.body.products.map(item => [item.id, item.totalStock]), [['camiseta', 0]]);
+    const second = await request('GET', `/api/products?sort=name_asc&limit=1&cursor=${first.body.nextCursor}`);
+    assert.deepEqual(second.body.products.map(item => [item.id, item.totalStock]), [['gorra', 4]]);
+    assert.equal(second.body.nextCursor, null);
+
+    const badSort = await request('GET', '/api/products?sort=barato');
+    assert.equal(badSort.status, 400);
+    assert.equal(badSort.body.details[0].field, 'query.sort');
+
+    const archived = await request('DELETE', '/api/products/gorra', { token: admin.token });
+    assert.equal(archived.status, 200);
+    const missing = await request('GET', '/api/products/gorra');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'PRODUCT_NOT_FOUND');
+  });
+
+  it('no deja el stock por debajo de lo reservado ni quita variantes con reservas', async () => {
+    await request('POST', '/api/products', {
+      token: admin.token,
+      body: product('camiseta', 'clothing', [
+        { size: 'M', color: 'Rojo', quantity: 5 },
+        { size: 'L', color: 'Azul', quantity: 2 }
+      ])
+    });
+    await Stock.updateOne({ productId: 'camiseta', size: 'M', color: 'Rojo' }, { reserved: 3 });
+
+    const below = await request('PATCH', '/api/products/camiseta', {
+      token: admin.token,
+      body: { variants: [{ size: 'M', color: 'Rojo', quantity: 2 }, { size: 'L', color: 'Azul', quantity: 2 }] }
+    });
+    assert.equal(below.status, 409);
+    assert.equal(below.body.code, 'STOCK_BELOW_RESERVED');
+    assert.deepEqual(below.body.details.map(detail => [detail.size, detail.code]), [['M', 'BELOW_RESERVED']]);
+
+    const removed = await request('PATCH', '/api/products/camiseta', {
+      token: admin.token,
+      body: { variants: [{ size: 'L', color: 'Azul', quantity: 2 }] }
+    });
+    assert.equal(removed.status, 409);
+    assert.equal(removed.body.details[0].code, 'VARIANT_RESERVED');
+
+    const { body } = await request('GET', '/api/products/camiseta/stock');
+    assert.deepEqual(body, { 'M-Rojo': { quantity: 2 }, 'L-Azul': { quantity: 2 } });
+  });
+});
@@ -0,0 +1,81 @@
+// test/profile.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, reset, request, loginAs, createProduct, createDefaultZone, CUSTOMER } = require('./helpers');
+
+describe('perfil del cliente', () => {
+  let customer;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    customer = await loginAs('customer');
+  });
+
+  const addAddress = (body) => request('POST', '/api/profile/addresses', { token: customer.token, body });
+
+  it('guarda los datos personales y valida los campos', async () => {
+    const updated = await request('PATCH', '/api/profile', {
+      token: customer.token,
+      body: { name: '  Ana Pérez ', idNumber: CUSTOMER.id, phone: CUSTOMER.phone }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.name, 'Ana Pérez');
+    assert.equal(updated.body.emailVerified, true);
+
+    const invalid = await request('PATCH', '/api/profile', { token: customer.token, body: { email: 'otro@example.com' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].code, 'UNKNOWN_FIELD');
+
+    const anonymous = await request('GET', '/api/profile');
+    assert.equal(anonymous.status, 401);
+  });
+
+  it('administra varias direcciones con una sola predeterminada', async () => {
+    const home = (await addAddress({ label: 'Casa', ...CUSTOMER.address })).body.address;
+    assert.equal(home.isDefault, true);
+
+    const office = await addAddress({ street: 'Carrera 7 # 8-9', neighborhood: 'Chapinero', district: 'Chapinero', city: 'Bogotá', isDefault: true });
+    assert.equal(office.status, 201);
+    assert.deepEqual(office.body.addresses.map(address => address.isDefault), [false, true]);
+
+    const incomplete = await addAddress({ street: 'Calle 1' });
+    assert.equal(incomplete.status, 400);
+
+    const edited = await request('PATCH', `/api/profile/addresses/${home._id}`, {
+      token: customer.token,
+      body: { street: 'Calle 10 # 20-30' }
+    });
+    assert.equal(edited.body.address.street, 'Calle 10 # 20-30');
+
+    const removed = await request('DELETE', `/api/profile/addresses/${office.body.address._id}`, { token: customer.token });
+    assert.deepEqual(removed.body.addresses.map(address => [address.label, address.isDefault]), [['Casa', true]]);
+
+    const missing = await request('DELETE', '/api/profile/addresses/no-existe', { token: customer.token });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'ADDRESS_NOT_FOUND');
+  });
+
+  it('el checkout usa los datos del perfil y la dirección guardada', async () => {
+    await createDefaultZone(12000);
+    await createProduct({ id: 'gorra', productType: 'accessory', price: 20000, variants: [{ quantity: 3 }] });
+    const { address } = (await addAddress(CUSTOMER.address)).body;
+    const checkout = (body) => request('POST', '/api/checkout', { token: customer.token, body });
+
+    const incomplete = await checkout({ addressId: address._id, items: [{ id: 'gorra', quantity: 1 }] });
+    assert.equal(incomplete.status, 400);
+    assert.equal(incomplete.body.code, 'PROFILE_INCOMPLETE');
+
+    await request('PATCH', '/api/profile', { token: customer.token, body: { name: CUSTOMER.name, idNumber: CUSTOMER.id, phone: CUSTOMER.phone } });
+    const placed = await checkout({ addressId: address._id, items: [{ id: 'gorra', quantity: 1 }] });
+    assert.equal(placed.status, 201);
+    assert.equal(placed.body.order.customer.email, customer.email);
+    assert.equal(placed.body.order.customer.idNumber, CUSTOMER.id);
+    assert.equal(placed.body.order.customer.address.city, 'Bogotá');
+
+    const unknown = await checkout({ addressId: '64b000000000000000000000', items: [{ id: 'gorra', quantity: 1 }] });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.details[0].code, 'ADDRESS_NOT_FOUND');
+  });
+});
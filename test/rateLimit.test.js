@@ -0,0 +1,97 @@
+// test/rateLimit.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const memoryStore = require('../services/rateLimitStores/memory');
+const { lockDuration, LOCK_THRESHOLD } = require('../services/loginAttempts');
+const { start, stop, reset, request, register, loginAs, sentMail } = require('./helpers');
+
+describe('almacén de límites en memoria', () => {
+  beforeEach(() => memoryStore.clear());
+
+  it('cuenta por clave y reinicia la ventana al vencer', async () => {
+    assert.equal((await memoryStore.hit('a', 1000)).count, 1);
+    assert.equal((await memoryStore.hit('a', 1000)).count, 2);
+    assert.equal((await memoryStore.hit('b', 1000)).count, 1);
+
+    const expired = await memoryStore.hit('c', -1);
+    assert.equal(expired.count, 1);
+    assert.equal((await memoryStore.hit('c', 1000)).count, 1);
+
+    await memoryStore.reset('a');
+    assert.equal((await memoryStore.hit('a', 1000)).count, 1);
+  });
+
+  it('duplica el bloqueo con cada fallo hasta el máximo de una hora', () => {
+    assert.equal(lockDuration(LOCK_THRESHOLD), 60 * 1000);
+    assert.equal(lockDuration(LOCK_THRESHOLD + 2), 4 * 60 * 1000);
+    assert.equal(lockDuration(LOCK_THRESHOLD + 20), 60 * 60 * 1000);
+  });
+});
+
+describe('límites de las rutas de autenticación', () => {
+  before(start);
+  after(stop);
+  beforeEach(reset);
+
+  it('responde 429 con Retry-After al pasarse del límite por cuenta', async () => {
+    const body = { email: 'Nadie@Example.com', password: 'no-importa' };
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const { status } = await request('POST', '/api/login', { body });
+      assert.equal(status, 400);
+    }
+
+    // El correo se normaliza: cambiar mayúsculas no salta el límite
+    const limited = await request('POST', '/api/login', { body: { ...body, email: ' nadie@example.com' } });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'TOO_MANY_REQUESTS');
+    const retryAfter = Number(limited.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 15 * 60);
+    assert.equal(limited.body.retryAfter, retryAfter);
+  });
+
+  it('limita las solicitudes de restablecimiento por correo', async () => {
+    const body = { email: 'olvido@example.com' };
+    for (let attempt = 0; attempt < 3; attempt++) {
+      assert.equal((await request('POST', '/api/forgot-password', { body })).status, 200);
+    }
+
+    const limited = await request('POST', '/api/forgot-password', { body });
+    assert.equal(limited.status, 429);
+    assert.equal(sentMail.length, 0);
+  });
+
+  it('bloquea la cuenta tras varios fallos seguidos, incluso con la contraseña correcta', async () => {
+    const credentials = { email: 'bloqueo@example.com', password: 'una-clave-larga' };
+    await register(credentials);
+
+    for (let attempt = 0; attempt < LOCK_THRESHOLD; attempt++) {
+      const wrong = await request('POST', '/api/login', { body: { ...credentials, password: 'otra-clave' } });
+      assert.equal(wrong.body.code, 'INVALID_CREDENTIALS');
+    }
+
+    const locked = await request('POST', '/api/login', { body: credentials });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+    assert.ok(Number(locked.headers.get('retry-after')) <= 60);
+
+    // Al vencer el bloqueo el login correcto entra y reinicia el contador
+    await User.updateOne({ email: credentials.email }, { lockedUntil: new Date(Date.now() - 1000) });
+    const login = await request('POST', '/api/login', { body: credentials });
+    assert.equal(login.status, 200);
+    const user = await User.findOne({ email: credentials.email }).lean();
+    assert.equal(user.failedLoginAttempts, 0);
+    assert.equal(user.lockedUntil, undefined);
+  });
+
+  it('un fallo tras vencer el bloqueo vuelve a bloquear por el doble de tiempo', async () => {
+    const { email } = await loginAs('customer');
+    await User.updateOne({ email }, { failedLoginAttempts: LOCK_THRESHOLD, lockedUntil: new Date(Date.now() - 1000) });
+
+    await request('POST', '/api/login', { body: { email, password: 'otra-clave' } });
+
+    const { lockedUntil } = await User.findOne({ email }).lean();
+    const remaining = lockedUntil.getTime() - Date.now();
+    assert.ok(remaining > 60 * 1000 && remaining <= 2 * 60 * 1000);
+  });
+});
@@ -0,0 +1,101 @@
+// test/reports.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const { start, stop, reset, request, loginAs, createProduct, CUSTOMER } = require('./helpers');
+
+describe('reportes de ventas', () => {
+  let admin;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    admin = await loginAs('admin');
+  });
+
+  const paidOrder = (orderId, city, total) => Order.create({
+    orderId,
+    status: 'paid',
+    customer: { ...CUSTOMER, idNumber: CUSTOMER.id, address: { ...CUSTOMER.address, city } },
+    items: [{ productId: 'gorra', name: 'Gorra', price: total, quantity: 1 }],
+    subtotal: total,
+    shipping: 0,
+    total
+  });
+
+  it('agrupa las ventas por ciudad sin distinguir mayúsculas, tildes ni espacios', async () => {
+    await paidOrder('ORD-1', 'Bogotá', 10000);
+    await paidOrder('ORD-2', 'Bogotá', 20000);
+    await paidOrder('ORD-3', ' bogota ', 30000);
+    await paidOrder('ORD-4', 'Medellín', 5000);
+
+    const { body } = await request('GET', '/api/reports/locations', { token: admin.token });
+    assert.deepEqual(body.rows.map(row => [row.city, row.orders, row.revenue, row.averageOrderValue]), [
+      ['Bogotá', 3, 60000, 20000],
+      ['Medellín', 1, 5000, 5000]
+    ]);
+
+    // El CSV escapa los textos que una hoja de cálculo ejecutaría como fórmula
+    await paidOrder('ORD-5', '=HYPERLINK("http://example.com")', 1000);
+    const csv = await request('GET', '/api/reports/locations?format=csv', { token: admin.token });
+    assert.match(csv.body, /"'=HYPERLINK/);
+  });
+
+  it('resume el período y cuenta solo los pedidos ya pagados', async () => {
+    await paidOrder('ORD-1', 'Bogotá', 10000);
+    await paidOrder('ORD-2', 'Cali', 30000);
+    await Order.updateOne({ orderId: 'ORD-2' }, { status: 'pending' });
+    await paidOrder('ORD-3', 'Cali', 20000);
+
+    const summary = await request('GET', '/api/reports/summary', { token: admin.token });
+    assert.equal(summary.status, 200);
+    const [row] = summary.body.rows;
+    assert.deepEqual([row.orders, row.units, row.revenue, row.averageOrderValue], [2, 2, 30000, 15000]);
+
+    const sales = await request('GET', '/api/reports/sales?groupBy=month', { token: admin.token });
+    assert.equal(sales.body.rows.reduce((sum, period) => sum + period.revenue, 0), 30000);
+
+    const top = await request('GET', '/api/reports/top-products?limit=1', { token: admin.token });
+    assert.deepEqual(top.body.rows.map(product => [product.productId, product.units]), [['gorra', 2]]);
+
+    const pdf = await request('GET', '/api/reports/summary?format=pdf', { token: admin.token });
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+  });
+
+  it('valoriza el inventario a precio de venta', async () => {
+    await createProduct({ id: 'camiseta', price: 50000, variants: [{ size: 'M', color: 'Rojo', quantity: 2 }] });
+    await createProduct({ id: 'gorra', productType: 'accessory', price: 20000, variants: [{ quantity: 3 }] });
+
+    const { status, body } = await request('GET', '/api/reports/stock-valuation', { token: admin.token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.rows.map(row => [row.productId, row.quantity, row.value]), [
+      ['camiseta', 2, 100000],
+      ['gorra', 3, 60000]
+    ]);
+    assert.equal(body.totals.value, 160000);
+
+    const csv = await request('GET', '/api/reports/stock-valuation?format=csv', { token: admin.token });
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+  });
+
+  it('rechaza fechas, agrupaciones y formatos inválidos y a quien no es administrador', async () => {
+    const badDay = await request('GET', '/api/reports/summary?from=01-02-2024', { token: admin.token });
+    assert.equal(badDay.status, 400);
+    assert.equal(badDay.body.code, 'INVALID_DAY');
+
+    const reversed = await request('GET', '/api/reports/sales?from=2024-03-01&to=2024-02-01', { token: admin.token });
+    assert.equal(reversed.body.code, 'INVALID_RANGE');
+
+    const groupBy = await request('GET', '/api/reports/sales?groupBy=year', { token: admin.token });
+    assert.equal(groupBy.status, 400);
+    assert.equal(groupBy.body.details[0].field, 'groupBy');
+
+    const format = await request('GET', '/api/reports/summary?format=xls', { token: admin.token });
+    assert.equal(format.status, 400);
+    assert.equal(format.body.details[0].field, 'format');
+
+    const staff = await loginAs('staff');
+    assert.equal((await request('GET', '/api/reports/summary', { token: staff.token })).status, 403);
+  });
+});
@@ -0,0 +1,115 @@
+// test/shipping.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../models/Product');
+const ShippingZone = require('../models/ShippingZone');
+const { ensureDefaultZone } = require('../services/shipping');
+const { start, stop, reset, request, loginAs, createProduct } = require('./helpers');
+
+describe('zonas y cotización de envíos', () => {
+  let admin;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    admin = await loginAs('admin');
+    await createProduct({ id: 'gorra', productType: 'accessory', price: 20000, variants: [{ quantity: 10 }] });
+    await Product.updateOne({ id: 'gorra' }, { weight: 1500 });
+  });
+
+  const createZone = (body, token = admin.token) => request('POST', '/api/shipping/zones', { token, body });
+  const quote = (address, items = [{ id: 'gorra', quantity: 2 }]) =>
+    request('POST', '/api/shipping/quote', { body: { address, items } });
+
+  it('cotiza con la zona más específica: barrio, ciudad y por defecto', async () => {
+    await createZone({ name: 'Resto del país', city: '*', baseRate: 15000 });
+    await createZone({ name: 'Bogotá', city: 'Bogotá', baseRate: 8000, rateType: 'per_item', rate: 1000 });
+    await createZone({ name: 'Chapinero', city: 'Bogotá', district: 'Chapinero', baseRate: 5000, rateType: 'per_kg', rate: 2000 });
+
+    const district = await quote({ city: 'bogota', district: 'CHAPINERO' });
+    assert.equal(district.status, 200);
+    assert.equal(district.body.zone, 'Chapinero');
+    // 3 kg entre las dos unidades
+    assert.equal(district.body.shipping, 5000 + 2000 * 3);
+
+    const city = await quote({ city: ' Bogotá ', district: 'Usaquén' });
+    assert.equal(city.body.zone, 'Bogotá');
+    assert.equal(city.body.shipping, 8000 + 1000 * 2);
+
+    const fallback = await quote({ city: 'Pasto' });
+    assert.equal(fallback.body.zone, 'Resto del país');
+    assert.equal(fallback.body.subtotal, 40000);
+  });
+
+  it('crea la zona por defecto al arrancar sin pisar la que ya se editó', async () => {
+    await ensureDefaultZone();
+    const fresh = await quote({ city: 'Pasto' });
+    assert.equal(fresh.status, 200);
+    assert.equal(fresh.body.zone, 'Resto del país');
+    assert.equal(fresh.body.shipping, 15000);
+
+    await ShippingZone.updateOne({ cityKey: '*' }, { baseRate: 9000 });
+    await ensureDefaultZone();
+    assert.equal(await ShippingZone.countDocuments(), 1);
+    assert.equal((await quote({ city: 'Pasto' })).body.shipping, 9000);
+  });
+
+  it('aplica el envío gratis desde el mínimo de la zona', async () => {
+    await createZone({ name: 'Medellín', city: 'Medellín', baseRate: 9000, freeShippingThreshold: 50000 });
+
+    const below = await quote({ city: 'Medellín' });
+    assert.equal(below.body.shipping, 9000);
+    assert.equal(below.body.missingForFreeShipping, 10000);
+
+    const free = await quote({ city: 'Medellín' }, [{ id: 'gorra', quantity: 3 }]);
+    assert.equal(free.body.shipping, 0);
+  });
+
+  it('responde sin cobertura, con productos desconocidos o datos inválidos', async () => {
+    await createZone({ name: 'Cali', city: 'Cali', baseRate: 7000 });
+
+    const uncovered = await quote({ city: 'Pasto' });
+    assert.equal(uncovered.status, 422);
+    assert.equal(uncovered.body.code, 'NO_SHIPPING_COVERAGE');
+
+    const unknown = await quote({ city: 'Cali' }, [{ id: 'no-existe', quantity: 1 }]);
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'PRODUCTS_NOT_FOUND');
+
+    const noCity = await request('POST', '/api/shipping/quote', { body: { address: {}, items: [{ id: 'gorra', quantity: 1 }] } });
+    assert.equal(noCity.status, 400);
+    assert.equal(noCity.body.details[0].field, 'address.city');
+  });
+
+  it('el administrador edita y borra zonas; la misma ciudad no se repite', async () => {
+    const created = await createZone({ name: 'Cali', city: 'Cali', baseRate: 7000, freeShippingThreshold: 80000 });
+    assert.equal(created.status, 201);
+    const zoneId = created.body._id;
+
+    const repeated = await createZone({ name: 'Otra Cali', city: 'cali', baseRate: 1000 });
+    assert.equal(repeated.status, 409);
+    assert.equal(repeated.body.code, 'ZONE_EXISTS');
+
+    const noRate = await request('PATCH', `/api/shipping/zones/${zoneId}`, { token: admin.token, body: { rateType: 'per_item' } });
+    assert.equal(noRate.status, 400);
+    assert.equal(noRate.body.details[0].code, 'RATE_REQUIRED');
+
+    const updated = await request('PATCH', `/api/shipping/zones/${zoneId}`, {
+      token: admin.token,
+      body: { baseRate: 6000, freeShippingThreshold: null }
+    });
+    assert.equal(updated.body.baseRate, 6000);
+    assert.equal(updated.body.freeShippingThreshold, undefined);
+
+    const staff = await loginAs('staff');
+    const listed = await request('GET', '/api/shipping/zones', { token: staff.token });
+    assert.deepEqual(listed.body.zones.map(zone => zone.name), ['Cali']);
+    assert.equal((await createZone({ name: 'X', city: 'X', baseRate: 1 }, staff.token)).status, 403);
+
+    assert.equal((await request('DELETE', `/api/shipping/zones/${zoneId}`, { token: admin.token })).status, 200);
+    const gone = await request('DELETE', `/api/shipping/zones/${zoneId}`, { token: admin.token });
+    assert.equal(gone.status, 404);
+    assert.equal(gone.body.code, 'ZONE_NOT_FOUND');
+  });
+});
@@ -0,0 +1,204 @@
+// test/stock.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Stock = require('../models/Stock');
+const { processOutbox } = require('../services/outbox');
+const { start, stop, reset, request, loginAs, createProduct, sentMail } = require('./helpers');
+
+const quantityOf = async (productId, size = '', color = '') =>
+  (await Stock.findOne({ productId, size, color }).lean()).quantity;
+
+describe('actualización de stock', () => {
+  let staff;
+
+  before(start);
+  after(stop);
+  beforeEach(async () => {
+    await reset();
+    staff = await loginAs('staff');
+    await createProduct({ id: 'camiseta', variants: [{ size: 'M', color: 'Rojo', quantity: 5 }] });
+    await createProduct({ id: 'gorra', productType: 'accessory', variants: [{ quantity: 2 }] });
+    await createProduct({ id: 'guantes', productType: 'gloves', variants: [{ size: 'M', quantity: 4 }] });
+  });
+
+  it('descuenta varias líneas y normaliza la talla de los guantes', async () => {
+    const { status, body } = await request('POST', '/api/stock/update-stock', {
+      token: staff.token,
+      body: {
+        items: [
+          { id: 'camiseta', size: 'M', color: 'Rojo', quantity: 2 },
+          { id: 'gorra', quantity: 1 },
+          { id: 'guantes', size: 'm', quantity: 1 }
+        ]
+      }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.updates.map(update => update.newStock), [3, 1, 3]);
+    assert.equal(await quantityOf('guantes', 'M'), 3);
+  });
+
+  it('no descuenta nada si una línea no tiene stock suficiente', async () => {
+    const { status, body } = await request('POST', '/api/stock/update-stock', {
+      token: staff.token,
+      body: {
+        items: [
+          { id: 'camiseta', size: 'M', color: 'Rojo', quantity: 2 },
+          { id: 'gorra', quantity: 3 }
+        ]
+      }
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'STOCK_UPDATE_REJECTED');
+    assert.equal(body.details[0].field, 'items[1]');
+    assert.equal(body.details[0].code, 'OUT_OF_STOCK');
+    assert.equal(await quantityOf('camiseta', 'M', 'Rojo'), 5);
+    assert.equal(await quantityOf('gorra'), 2);
+  });
+
+  it('rechaza variantes incompletas, productos desconocidos y cantidades inválidas', async () => {
+    const variant = await request('POST', '/api/stock/update-stock', {
+      token: staff.token,
+      body: { items: [{ id: 'camiseta', size: 'M', quantity: 1 }, { id: 'no-existe', quantity: 1 }] }
+    });
+    assert.equal(variant.status, 400);
+    assert.deepEqual(variant.body.details.map(detail => [detail.field, detail.code]), [
+      ['items[0].size', 'VARIANT_REQUIRED'],
+      ['items[1].id', 'UNKNOWN_PRODUCT']
+    ]);
+
+    for (const quantity of [0, -1, 1.5, '2']) {
+      const { status, body } = await request('POST', '/api/stock/update-stock', {
+        token: staff.token,
+        body: { items: [{ id: 'gorra', quantity }] }
+      });
+      assert.equal(status, 400, `cantidad ${JSON.stringify(quantity)}`);
+      assert.equal(body.details[0].field, 'items[0].quantity');
+    }
+
+    const empty = await request('POST', '/api/stock/update-stock', { token: staff.token, body: { items: [] } });
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.details[0].code, 'TOO_FEW_ITEMS');
+  });
+
+  it('solo el personal puede descontar stock', async () => {
+    const body = { items: [{ id: 'gorra', quantity: 1 }] };
+
+    const anonymous = await request('POST', '/api/stock/update-stock', { body });
+    assert.equal(anonymous.status, 401);
+
+    const customer = await loginAs('customer');
+    const forbidden = await request('POST', '/api/stock/update-stock', { token: customer.token, body });
+    assert.equal(forbidden.status, 403);
+    assert.equal(await quantityOf('gorra'), 2);
+  });
+
+  it('descuenta desde la ruta del producto con los mismos códigos de error', async () => {
+    const ok = await request('POST', '/api/products/gorra/update-stock', { token: staff.token, body: { quantity: 2 } });
+    assert.equal(ok.status, 200);
+
+    const empty = await request('POST', '/api/products/gorra/update-stock', { token: staff.token, body: { quantity: 1 } });
+    assert.equal(empty.status, 409);
+    assert.equal(empty.body.code, 'OUT_OF_STOCK');
+
+    const noColor = await request('POST', '/api/products/camiseta/update-stock', {
+      token: staff.token,
+      body: { size: 'M', quantity: 1 }
+    });
+    assert.equal(noColor.status, 400);
+    assert.equal(noColor.body.code, 'VARIANT_REQUIRED');
+
+    const missing = await request('POST', '/api/products/no-existe/update-stock', { token: staff.token, body: { quantity: 1 } });
+    assert.equal(missing.status, 404);
+  });
+
+  it('descuenta las unidades reservadas de la disponibilidad consultada', async () => {
+    await Stock.updateOne({ productId: 'camiseta' }, { reserved: 4 });
+
+    const { body } = await request('POST', '/api/stock/check-stock', {
+      body: { items: [{ id: 'camiseta', size: 'M', color: 'Rojo', quantity: 2 }] }
+    });
+    assert.deepEqual(body.results[0], { id: 'camiseta', size: 'M', color: 'Rojo', available: 1, requested: 2 });
+
+    const blocked = await request('POST', '/api/stock/update-stock', {
+      token: staff.token,
+      body: { items: [{ id: 'camiseta', size: 'M', color: 'Rojo', quantity: 2 }] }
+    });
+    assert.equal(blocked.status, 409);
+  });
+
+  it('registra cada movimiento y avisa cuando el stock baja del mínimo', async () => {
+    await request('POST', '/api/stock/update-stock', {
+      token: staff.token,
+      body: { items: [{ id: 'camiseta', size: 'M', color: 'Rojo', quantity: 3 }] }
+    });
+    const adjust = await request('POST', '/api/stock/adjust', {
+      token: staff.token,
+      body: { productId: 'camiseta', size: 'M', color: 'Rojo', quantity: 10, reason: 'restock', note: 'Llegó pedido' }
+    });
+    assert.equal(adjust.body.adjustment.newStock, 12);
+
+    const negative = await request('POST', '/api/stock/adjust', {
+      token: staff.token,
+      body: { productId: 'camiseta', size: 'M', color: 'Rojo', quantity: -20, reason: 'loss' }
+    });
+    assert.equal(negative.status, 409);
+    assert.equal(negative.body.code, 'NEGATIVE_STOCK');
+
+    const { body } = await request('GET', '/api/stock/movements?productId=camiseta&size=M&color=Rojo', { token: staff.token });
+    // Pueden quedar con la misma fecha al milisegundo, así que se comparan sin orden
+    assert.deepEqual(body.movements.map(movement => [movement.type, movement.quantity, movement.balance]).sort(), [
+      ['correction', -3, 2],
+      ['restock', 10, 12]
+    ]);
+    assert.equal(body.current.quantity, 12);
+
+    // El aviso se guarda con la transacción y lo envía el worker de la bandeja de salida
+    await processOutbox();
+    const alerts = sentMail.filter(mail => mail.to === 'inventario@example.com');
+    assert.equal(alerts.length, 1);
+    assert.match(alerts[0].subject, /Stock bajo/);
+  });
+
+  it('cambia el mínimo de una variante y lo devuelve al valor por defecto con null', async () => {
+    const set = await request('PUT', '/api/stock/threshold', {
+      token: staff.token,
+      body: { productId: 'camiseta', size: 'M', color: 'Rojo', threshold: 8 }
+    });
+    assert.equal(set.status, 200);
+    assert.equal(set.body.lowStockThreshold, 8);
+    assert.equal((await Stock.findOne({ productId: 'camiseta' }).lean()).lowStockThreshold, 8);
+
+    const cleared = await request('PUT', '/api/stock/threshold', {
+      token: staff.token,
+      body: { productId: 'camiseta', size: 'M', color: 'Rojo', threshold: null }
+    });
+    assert.equal(cleared.status, 200);
+    assert.equal((await Stock.findOne({ productId: 'camiseta' }).lean()).lowStockThreshold, undefined);
+
+    const missing = await request('PUT', '/api/stock/threshold', {
+      token: staff.token,
+      body: { productId: 'camiseta', size: 'L', color: 'Rojo', threshold: 2 }
+    });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'VARIANT_NOT_FOUND');
+
+    const negative = await request('PUT', '/api/stock/threshold', {
+      token: staff.token,
+      body: { productId: 'gorra', threshold: -1 }
+    });
+    assert.equal(negative.status, 400);
+    assert.equal(negative.body.details[0].field, 'threshold');
+  });
+
+  it('solo el personal consulta los movimientos', async () => {
+    const customer = await loginAs('customer');
+    const forbidden = await request('GET', '/api/stock/movements?productId=gorra', { token: customer.token });
+    assert.equal(forbidden.status, 403);
+
+    const badLimit = await request('GET', '/api/stock/movements?productId=gorra&limit=0', { token: staff.token });
+    assert.equal(badLimit.status, 400);
+    assert.equal(badLimit.body.details[0].field, 'limit');
+  });
+});
@@ -0,0 +1,14 @@
+// utils/compare.js
+const crypto = require('crypto');
+
+// Igualdad de valores planos (textos, números, arreglos y objetos con las claves en el mismo orden)
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Comparación en tiempo constante, para firmas y checksums
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = { isEqual, safeEqual };
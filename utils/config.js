@@ -0,0 +1,16 @@
+// utils/config.js
+// Variables de entorno sin las que alguna parte de la API falla; server.js las comprueba antes de escuchar
+const REQUIRED_ENV = {
+  JWT_SECRET: 'firma de los access tokens',
+  RESET_SECRET: 'firma de los enlaces para restablecer la contraseña',
+  EMAIL_VERIFICATION_SECRET: 'firma de los enlaces de verificación del correo',
+  ORDER_LINK_SECRET: 'firma de los enlaces de consulta de pedidos de invitados'
+};
+
+// Lista "NOMBRE (para qué sirve)" de las variables que faltan (por defecto, las de REQUIRED_ENV)
+const missingEnv = (required = REQUIRED_ENV) =>
+  Object.entries(required)
+    .filter(([name]) => !process.env[name])
+    .map(([name, purpose]) => `${name} (${purpose})`);
+
+module.exports = { missingEnv };
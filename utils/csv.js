@@ -0,0 +1,94 @@
+// utils/csv.js
+// Lectura y escritura de CSV (RFC 4180: comillas dobles, comas y saltos de línea dentro de campos)
+
+// Convierte el texto en filas de celdas, recordando en qué línea empieza cada una
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowStart = 1;
+
+  // Quitar BOM que agregan Excel y Google Sheets
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ cells: row, line: rowStart });
+      row = [];
+      field = '';
+      rowStart = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ cells: row, line: rowStart });
+  }
+
+  // Las filas completamente vacías no cuentan
+  return rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Interpreta un CSV con encabezado y devuelve un objeto por fila.
+ * Cada objeto lleva `line` con el número de línea del archivo donde empieza la fila.
+ */
+function parseCsv(text) {
+  const [header = { cells: [] }, ...rows] = parseRows(text);
+  const columns = header.cells.map(column => column.trim());
+
+  return rows.map(({ cells, line }) => {
+    const record = { line };
+    columns.forEach((column, position) => {
+      record[column] = unescapeCell((cells[position] ?? '').trim());
+    });
+    return record;
+  });
+}
+
+// Texto que Excel, LibreOffice o Google Sheets interpretarían como fórmula al abrir el archivo
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Los textos que empiezan como fórmula se anteponen con ' para que la hoja de cálculo los muestre
+// como texto (evita la inyección de fórmulas con datos del cliente). Los números se escriben tal cual
+const escapeCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Deshace el ' que escapeCell antepone, para que exportar e importar devuelva el mismo valor
+const unescapeCell = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+function stringifyCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { parseCsv, stringifyCsv };
@@ -0,0 +1,27 @@
+// utils/errors.js
+// Error base de la API: lleva el código (ver utils/i18n.js), el estado HTTP y los detalles por campo.
+// El manejador central (middleware/errorHandler.js) lo convierte en la respuesta JSON.
+const { translate } = require('./i18n');
+
+class AppError extends Error {
+  /**
+   * @param {string} code código del mensaje, p. ej. 'PRODUCT_NOT_FOUND'
+   * @param {number} status estado HTTP
+   * @param {object} [options] `params` para el mensaje, `details` por campo ([{ field, code, params, message }])
+   *   y `extra` con datos adicionales que se agregan a la respuesta
+   */
+  constructor(code, status = 400, { params, details, extra } = {}) {
+    super(translate(code, 'es', params) || code);
+    this.name = 'AppError';
+    this.code = code;
+    this.status = status;
+    this.params = params;
+    this.details = details;
+    this.extra = extra;
+  }
+}
+
+// Error de validación con los problemas encontrados por campo
+const validationError = (details, code = 'VALIDATION_ERROR') => new AppError(code, 400, { details });
+
+module.exports = { AppError, validationError };
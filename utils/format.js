@@ -0,0 +1,6 @@
+// utils/format.js
+// Formato de cifras en pesos colombianos para correos, facturas y reportes
+const formatNumber = (num) => new Intl.NumberFormat('es-CO').format(num);
+const formatCurrency = (num) => (num < 0 ? `-$${formatNumber(-num)}` : `$${formatNumber(num)}`);
+
+module.exports = { formatNumber, formatCurrency };
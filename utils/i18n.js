@@ -0,0 +1,139 @@
+// utils/i18n.js
+// Mensajes de error en español e inglés, identificados por código. Los valores entre llaves
+// ({min}, {field}...) se reemplazan con los parámetros del error.
+
+const LANGUAGES = ['es', 'en'];
+const DEFAULT_LANGUAGE = 'es';
+
+const MESSAGES = {
+  // Generales
+  VALIDATION_ERROR: { es: 'Datos inválidos', en: 'Invalid data' },
+  INVALID_JSON: { es: 'El cuerpo de la solicitud no es un JSON válido', en: 'The request body is not valid JSON' },
+  PAYLOAD_TOO_LARGE: { es: 'La solicitud es demasiado grande', en: 'The request is too large' },
+  ROUTE_NOT_FOUND: { es: 'Ruta no encontrada', en: 'Route not found' },
+  NOT_FOUND: { es: 'Recurso no encontrado', en: 'Resource not found' },
+  DUPLICATE: { es: 'Ya existe un registro con esos datos', en: 'A record with that data already exists' },
+  CONFLICT: { es: 'La operación entra en conflicto con el estado actual', en: 'The operation conflicts with the current state' },
+  TOO_MANY_REQUESTS: { es: 'Demasiadas solicitudes, intenta más tarde', en: 'Too many requests, try again later' },
+  INTERNAL_ERROR: { es: 'Error del servidor', en: 'Server error' },
+  RATE_LIMIT_STORE_UNKNOWN: { es: 'Almacén de límites desconocido: {store}', en: 'Unknown rate limit store: {store}' },
+
+  // Reglas de validación por campo
+  REQUIRED: { es: 'Campo obligatorio', en: 'This field is required' },
+  INVALID_TYPE: { es: 'Debe ser de tipo {type}', en: 'Must be of type {type}' },
+  TOO_SHORT: { es: 'Debe tener al menos {min} caracteres', en: 'Must be at least {min} characters long' },
+  TOO_LONG: { es: 'Debe tener como máximo {max} caracteres', en: 'Must be at most {max} characters long' },
+  TOO_SMALL: { es: 'Debe ser mayor o igual a {min}', en: 'Must be greater than or equal to {min}' },
+  TOO_LARGE: { es: 'Debe ser menor o igual a {max}', en: 'Must be less than or equal to {max}' },
+  NOT_ZERO: { es: 'No puede ser cero', en: 'Cannot be zero' },
+  INVALID_ENUM: { es: 'Valor inválido, use uno de: {values}', en: 'Invalid value, use one of: {values}' },
+  INVALID_EMAIL: { es: 'Correo electrónico inválido', en: 'Invalid email address' },
+  INVALID_FORMAT: { es: 'Formato inválido', en: 'Invalid format' },
+  INVALID_DATE: { es: 'Fecha inválida', en: 'Invalid date' },
+  INVALID_ID: { es: 'Identificador inválido', en: 'Invalid identifier' },
+  UNKNOWN_FIELD: { es: 'Campo no permitido', en: 'Field not allowed' },
+  NON_NEGATIVE_NUMBER: { es: 'Debe ser un número mayor o igual a cero', en: 'Must be a number greater than or equal to zero' },
+  NON_NEGATIVE_INTEGER: { es: 'Debe ser un entero mayor o igual a cero', en: 'Must be an integer greater than or equal to zero' },
+  TOO_FEW_ITEMS: { es: 'Se requieren al menos {min} elementos', en: 'At least {min} items are required' },
+  TOO_MANY_ITEMS: { es: 'Se permiten como máximo {max} elementos', en: 'At most {max} items are allowed' },
+
+  // Autenticación y cuentas
+  UNAUTHORIZED: { es: 'No autorizado', en: 'Unauthorized' },
+  TOKEN_INVALID: { es: 'Token inválido o expirado', en: 'Invalid or expired token' },
+  FORBIDDEN: { es: 'No tienes permisos para esta acción', en: 'You do not have permission for this action' },
+  USER_EXISTS: { es: 'El usuario ya existe', en: 'The user already exists' },
+  USER_NOT_FOUND: { es: 'Usuario no encontrado', en: 'User not found' },
+  INVALID_CREDENTIALS: { es: 'Credenciales inválidas', en: 'Invalid credentials' },
+  SESSION_EXPIRED: { es: 'Sesión expirada, inicia sesión de nuevo', en: 'Session expired, please log in again' },
+  ACCOUNT_LOCKED: { es: 'Demasiados intentos fallidos, la cuenta está bloqueada temporalmente', en: 'Too many failed attempts, the account is temporarily locked' },
+  EMAIL_NOT_VERIFIED: { es: 'Confirma tu correo antes de iniciar sesión', en: 'Confirm your email before logging in' },
+  VERIFICATION_LINK_INVALID: { es: 'El enlace de verificación no es válido o ha expirado', en: 'The verification link is invalid or has expired' },
+  ADDRESS_NOT_FOUND: { es: 'Dirección no encontrada', en: 'Address not found' },
+  TOO_MANY_ADDRESSES: { es: 'Se pueden guardar como máximo {max} direcciones', en: 'At most {max} addresses can be saved' },
+  PROFILE_INCOMPLETE: { es: 'Completa tu perfil para usar una dirección guardada', en: 'Complete your profile to use a saved address' },
+  RESET_LINK_INVALID: { es: 'El enlace no es válido o ha expirado', en: 'The link is invalid or has expired' },
+
+  // Catálogo y stock
+  PRODUCT_NOT_FOUND: { es: 'Producto no encontrado', en: 'Product not found' },
+  PRODUCTS_NOT_FOUND: { es: 'Productos no encontrados: {ids}', en: 'Products not found: {ids}' },
+  UNKNOWN_PRODUCT: { es: 'Producto desconocido: {id}', en: 'Unknown product: {id}' },
+  PRODUCT_EXISTS: { es: 'Ya existe un producto con ese id', en: 'A product with that id already exists' },
+  INVALID_PRODUCT: { es: 'Datos de producto inválidos', en: 'Invalid product data' },
+  ACCESSORY_SINGLE_VARIANT: { es: 'Los accesorios tienen una sola cantidad', en: 'Accessories have a single quantity' },
+  ACCESSORY_NO_VARIANT: { es: 'Los accesorios no llevan talla ni color', en: 'Accessories have no size or color' },
+  COLOR_NOT_ALLOWED: { es: 'Este tipo de producto no lleva color', en: 'This product type has no color' },
+  DUPLICATE_VARIANT: { es: 'Variante repetida', en: 'Duplicate variant' },
+  VARIANTS_REQUIRED_ON_TYPE_CHANGE: { es: 'Al cambiar el tipo de producto se deben enviar sus variantes', en: 'Variants must be sent when changing the product type' },
+  VARIANT_REQUIRED: { es: 'Se requieren talla y color', en: 'Size and color are required' },
+  VARIANT_NOT_FOUND: { es: 'La variante no tiene stock registrado', en: 'The variant has no recorded stock' },
+  OUT_OF_STOCK: { es: 'No hay suficiente stock', en: 'Not enough stock' },
+  STOCK_UPDATE_FAILED: { es: 'No se pudo actualizar el stock', en: 'Stock could not be updated' },
+  STOCK_UPDATE_REJECTED: { es: 'No se pudo descontar el stock de todas las líneas', en: 'Stock could not be deducted for every line' },
+  STOCK_BELOW_RESERVED: { es: 'El stock no puede quedar por debajo de las unidades reservadas en carritos', en: 'Stock cannot go below the units reserved in carts' },
+  BELOW_RESERVED: { es: 'La cantidad no puede ser menor que las {reserved} unidades reservadas', en: 'The quantity cannot be lower than the {reserved} reserved units' },
+  VARIANT_RESERVED: { es: 'La variante tiene {reserved} unidades reservadas y no se puede quitar', en: 'The variant has {reserved} reserved units and cannot be removed' },
+  NEGATIVE_STOCK: { es: 'El ajuste dejaría el stock en negativo', en: 'The adjustment would leave negative stock' },
+  CSV_REQUIRED: { es: 'Envía el CSV en el cuerpo con Content-Type text/csv', en: 'Send the CSV in the body with Content-Type text/csv' },
+  IMPORT_HAS_ERRORS: { es: 'El archivo tiene errores, no se aplicó ningún cambio', en: 'The file has errors, no changes were applied' },
+
+  // Carrito, checkout y envíos
+  CART_EMPTY: { es: 'El carrito está vacío', en: 'The cart is empty' },
+  CART_ITEM_NOT_FOUND: { es: 'Producto no encontrado en el carrito', en: 'Product not found in the cart' },
+  RESERVATION_FAILED: { es: 'No hay stock suficiente para reservar el carrito', en: 'There is not enough stock to reserve the cart' },
+  CHECKOUT_FAILED: { es: 'No se pudo procesar el pedido', en: 'The order could not be processed' },
+  ORDER_TOO_LARGE: { es: 'Un pedido puede tener como máximo {max} unidades', en: 'An order can have at most {max} units' },
+  NO_SHIPPING_COVERAGE: { es: 'No tenemos cobertura de envío para esa dirección', en: 'We do not ship to that address' },
+  RATE_REQUIRED: { es: 'Las tarifas por unidad o por kilo requieren una tarifa mayor a cero', en: 'Per-item and per-kg rates require a rate greater than zero' },
+  INVALID_ZONE: { es: 'Datos de zona inválidos', en: 'Invalid zone data' },
+  ZONE_NOT_FOUND: { es: 'Zona no encontrada', en: 'Zone not found' },
+  ZONE_EXISTS: { es: 'Ya existe una zona para esa ciudad y barrio', en: 'A zone already exists for that city and district' },
+
+  // Cupones
+  INVALID_COUPON: { es: 'Datos de cupón inválidos', en: 'Invalid coupon data' },
+  COUPON_NOT_FOUND: { es: 'Cupón no encontrado', en: 'Coupon not found' },
+  COUPON_EXISTS: { es: 'Ya existe un cupón con ese código', en: 'A coupon with that code already exists' },
+  COUPON_INVALID: { es: 'Cupón no válido', en: 'Invalid coupon' },
+  COUPON_NOT_ACTIVE: { es: 'El cupón no está vigente', en: 'The coupon is not currently valid' },
+  COUPON_EXHAUSTED: { es: 'El cupón ya se agotó', en: 'The coupon has been used up' },
+  COUPON_LOGIN_REQUIRED: { es: 'Debes iniciar sesión para usar este cupón', en: 'You must log in to use this coupon' },
+  COUPON_USER_LIMIT: { es: 'Ya usaste este cupón el máximo de veces permitido', en: 'You have already used this coupon the maximum number of times' },
+  COUPON_MIN_SUBTOTAL: { es: 'El cupón requiere una compra mínima de {min}', en: 'The coupon requires a minimum purchase of {min}' },
+  COUPON_NOT_APPLICABLE: { es: 'El cupón no aplica a los productos del carrito', en: 'The coupon does not apply to the products in the cart' },
+
+  // Pedidos y pagos
+  ORDER_NOT_FOUND: { es: 'Pedido no encontrado', en: 'Order not found' },
+  ORDER_LINK_INVALID: { es: 'El enlace del pedido no es válido o ha expirado', en: 'The order link is invalid or has expired' },
+  ORDER_STATUS_UNKNOWN: { es: 'Estado desconocido: {status}', en: 'Unknown status: {status}' },
+  TRACKING_REQUIRED: { es: 'Se requiere el número de guía para marcar el pedido como enviado', en: 'A tracking number is required to mark the order as shipped' },
+  ORDER_TRANSITION_INVALID: { es: 'No se puede pasar de {from} a {to}', en: 'Cannot change from {from} to {to}' },
+  ORDER_CHANGED: { es: 'El pedido cambió mientras se procesaba, intenta de nuevo', en: 'The order changed while being processed, try again' },
+  ORDER_NOT_PENDING: { es: 'El pedido no está pendiente de pago', en: 'The order is not awaiting payment' },
+  PAYMENT_PROVIDER_UNKNOWN: { es: 'Pasarela de pago desconocida: {provider}', en: 'Unknown payment provider: {provider}' },
+  PAYMENT_PROVIDER_DISABLED: { es: 'La pasarela {provider} solo está disponible en desarrollo', en: 'The {provider} payment provider is only available in development' },
+  PAYMENT_EVENT_INCOMPLETE: { es: 'Evento de pago incompleto', en: 'Incomplete payment event' },
+  PAYMENT_NOT_FOUND: { es: 'Pago no encontrado: {reference}', en: 'Payment not found: {reference}' },
+  INVALID_SIGNATURE: { es: 'Firma inválida', en: 'Invalid signature' },
+
+  // Reportes
+  INVALID_DAY: { es: '{field} debe tener el formato AAAA-MM-DD', en: '{field} must use the YYYY-MM-DD format' },
+  INVALID_RANGE: { es: 'La fecha inicial debe ser anterior a la final', en: 'The start date must be before the end date' }
+};
+
+const interpolate = (template, params = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, key) => (params[key] !== undefined ? String(params[key]) : match));
+
+// Mensaje de un código en el idioma pedido (español si el idioma o el código no existen)
+function translate(code, language = DEFAULT_LANGUAGE, params) {
+  const entry = MESSAGES[code];
+  if (!entry) return undefined;
+  return interpolate(entry[language] || entry[DEFAULT_LANGUAGE], params);
+}
+
+// Idioma de la respuesta: ?lang=en|es o la cabecera Accept-Language; español por defecto
+function resolveLanguage(req) {
+  if (LANGUAGES.includes(req.query?.lang)) return req.query.lang;
+  const accepted = req.acceptsLanguages?.(...LANGUAGES);
+  return accepted || DEFAULT_LANGUAGE;
+}
+
+module.exports = { translate, resolveLanguage, MESSAGES, LANGUAGES, DEFAULT_LANGUAGE };
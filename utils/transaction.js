@@ -0,0 +1,22 @@
+// utils/transaction.js
+const mongoose = require('mongoose');
+
+/**
+ * Ejecuta `work(session)` en una transacción y devuelve lo que resuelva. Los conflictos
+ * transitorios se reintentan ejecutando `work` de nuevo, así que debe armar su estado desde
+ * cero en cada intento. Si lanza, la transacción se aborta y el error sigue al llamador.
+ */
+async function inTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+}
+
+module.exports = { inTransaction };
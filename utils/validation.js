@@ -0,0 +1,125 @@
+// utils/validation.js
+// Validación de datos contra un esquema declarativo. Cada campo admite:
+//   type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'date' | 'objectId'
+//   required, nullable, enum, min, max, notZero, minLength, maxLength, pattern, format: 'email',
+//   trim (no acepta cadenas vacías), properties (campos de un objeto), items (esquema de cada elemento),
+//   minItems, maxItems, allowUnknown (acepta campos fuera de `properties`) y coerce (convierte
+//   texto a número o booleano, para query strings).
+// Los problemas se devuelven como [{ field, code, params, message }] con los códigos de utils/i18n.js
+// (el mensaje en español; el manejador de errores lo traduce según el idioma de la solicitud).
+const mongoose = require('mongoose');
+const { translate } = require('./i18n');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Problema de un campo, con el mensaje en español ya resuelto
+const fieldError = (field, code, params) => ({
+  field,
+  code,
+  ...(params && { params }),
+  message: translate(code, 'es', params)
+});
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+function coerceValue(value, type) {
+  if (typeof value !== 'string') return value;
+  if ((type === 'number' || type === 'integer') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'date': return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    case 'objectId': return typeof value === 'string' && mongoose.isValidObjectId(value);
+    default: return true;
+  }
+}
+
+const TYPE_ERRORS = { date: 'INVALID_DATE', objectId: 'INVALID_ID' };
+
+function checkValue(input, rule, path, errors) {
+  const value = rule.coerce ? coerceValue(input, rule.type) : input;
+  const fail = (code, params) => errors.push(fieldError(path || 'body', code, params));
+
+  if (value === undefined || (rule.trim && typeof value === 'string' && value.trim() === '')) {
+    if (rule.required) fail('REQUIRED');
+    return;
+  }
+  if (value === null) {
+    if (!rule.nullable) fail(rule.required ? 'REQUIRED' : 'INVALID_TYPE', rule.required ? undefined : { type: rule.type });
+    return;
+  }
+  if (rule.type && !checkType(value, rule.type)) {
+    const code = TYPE_ERRORS[rule.type] || 'INVALID_TYPE';
+    fail(code, code === 'INVALID_TYPE' ? { type: rule.type } : undefined);
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) fail('INVALID_ENUM', { values: rule.enum.join(', ') });
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) fail('TOO_SMALL', { min: rule.min });
+    if (rule.max !== undefined && value > rule.max) fail('TOO_LARGE', { max: rule.max });
+    if (rule.notZero && value === 0) fail('NOT_ZERO');
+  }
+
+  if (typeof value === 'string') {
+    const length = rule.trim ? value.trim().length : value.length;
+    if (rule.minLength !== undefined && length < rule.minLength) fail('TOO_SHORT', { min: rule.minLength });
+    if (rule.maxLength !== undefined && length > rule.maxLength) fail('TOO_LONG', { max: rule.maxLength });
+    if (rule.format === 'email' && !EMAIL_PATTERN.test(value.trim())) fail('INVALID_EMAIL');
+    if (rule.pattern && !rule.pattern.test(value)) fail('INVALID_FORMAT');
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) fail('TOO_FEW_ITEMS', { min: rule.minItems });
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) fail('TOO_MANY_ITEMS', { max: rule.maxItems });
+    if (rule.items) {
+      value.forEach((item, index) => checkValue(item, rule.items, joinPath(path, index), errors));
+    }
+  }
+
+  if (rule.properties && checkType(value, 'object')) {
+    checkObject(value, rule, path, errors);
+  }
+}
+
+function checkObject(value, { properties, allowUnknown }, path, errors) {
+  if (!allowUnknown) {
+    for (const key of Object.keys(value)) {
+      if (!properties[key]) errors.push(fieldError(joinPath(path, key), 'UNKNOWN_FIELD'));
+    }
+  }
+  for (const [key, rule] of Object.entries(properties)) {
+    checkValue(value[key], rule, joinPath(path, key), errors);
+  }
+}
+
+/**
+ * Valida `value` contra `schema`: un objeto { campo: regla } o una regla completa.
+ * Devuelve la lista de problemas (vacía si es válido).
+ */
+function validateSchema(value, schema, path = '') {
+  const errors = [];
+  const rule = schema.type || schema.properties ? schema : { type: 'object', required: true, properties: schema };
+  checkValue(value, rule, path, errors);
+  return errors;
+}
+
+// Copia del esquema con todos los campos opcionales, para actualizaciones parciales
+const optionalFields = (schema) =>
+  Object.fromEntries(Object.entries(schema).map(([key, { required, ...rule }]) => [key, rule]));
+
+module.exports = { validateSchema, optionalFields, fieldError };